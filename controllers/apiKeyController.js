@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const ApiKeyService = require('../services/apiKeyService');
+const AuditService = require('../services/auditService');
+
+const SERVICE_ACCOUNT_FIELDS = 'name bio isActive deactivatedAt createdAt';
+
+// @desc    Create a service account for a machine integration
+// @route   POST /api/api-keys/service-accounts
+// @access  Private/Admin
+const createServiceAccount = async (req, res) => {
+    try {
+        const account = await ApiKeyService.createServiceAccount(req.body);
+        await AuditService.record(req, 'serviceAccount.create', { resourceType: 'User', after: account });
+
+        res.status(201).json({ _id: account._id, name: account.name, bio: account.bio, role: account.role, isActive: account.isActive });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    List service accounts with their active key counts
+// @route   GET /api/api-keys/service-accounts
+// @access  Private/Admin
+const getServiceAccounts = async (req, res) => {
+    try {
+        const accounts = await User.find({ role: 'service' }).select(SERVICE_ACCOUNT_FIELDS).sort({ name: 1 });
+        const keyCounts = await ApiKey.aggregate([
+            { $match: { serviceAccount: { $in: accounts.map(a => a._id) }, revokedAt: null } },
+            { $group: { _id: '$serviceAccount', count: { $sum: 1 }, lastUsedAt: { $max: '$lastUsedAt' } } }
+        ]);
+        const byAccount = new Map(keyCounts.map(row => [row._id.toString(), row]));
+
+        res.json(accounts.map(account => ({
+            ...account.toJSON(),
+            activeKeys: byAccount.get(account._id.toString())?.count || 0,
+            lastUsedAt: byAccount.get(account._id.toString())?.lastUsedAt || null
+        })));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Issue an API key (the plain key is only returned here)
+// @route   POST /api/api-keys
+// @access  Private/Admin
+const createApiKey = async (req, res) => {
+    try {
+        const { serviceAccount: serviceAccountId, ...fields } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(serviceAccountId)) {
+            return res.status(400).json({ message: 'A valid serviceAccount is required' });
+        }
+
+        const serviceAccount = await User.findById(serviceAccountId);
+        if (!serviceAccount) return res.status(404).json({ message: 'Service account not found' });
+
+        const { apiKey, key } = await ApiKeyService.createKey(serviceAccount, fields, req.user);
+        await AuditService.record(req, 'apiKey.create', { resourceType: 'ApiKey', after: apiKey });
+
+        res.status(201).json({ apiKey, key });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    List API keys
+// @route   GET /api/api-keys
+// @access  Private/Admin
+const getApiKeys = async (req, res) => {
+    try {
+        const { serviceAccount, active } = req.query;
+        const query = {};
+
+        if (serviceAccount) {
+            if (!mongoose.Types.ObjectId.isValid(serviceAccount)) {
+                return res.status(400).json({ message: 'Invalid serviceAccount' });
+            }
+            query.serviceAccount = serviceAccount;
+        }
+        if (active === 'true') {
+            query.revokedAt = null;
+            query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+        } else if (active === 'false') {
+            query.$or = [{ revokedAt: { $ne: null } }, { expiresAt: { $lte: new Date() } }];
+        }
+
+        const apiKeys = await ApiKey.find(query)
+            .populate('serviceAccount', 'name isActive')
+            .populate('createdBy', 'name')
+            .sort({ createdAt: -1 });
+        res.json(apiKeys);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get API key details and usage
+// @route   GET /api/api-keys/:id
+// @access  Private/Admin
+const getApiKeyById = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id)
+            .populate('serviceAccount', 'name bio isActive')
+            .populate('createdBy', 'name email')
+            .populate('revokedBy', 'name email');
+        if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+        res.json(apiKey);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Change a key's name, scopes, categories, rate limit or expiry
+// @route   PUT /api/api-keys/:id
+// @access  Private/Admin
+const updateApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+        const before = AuditService.snapshot(apiKey);
+
+        const updatedKey = await ApiKeyService.updateKey(apiKey, req.body);
+        await AuditService.record(req, 'apiKey.update', { resourceType: 'ApiKey', before, after: updatedKey });
+
+        res.json(updatedKey);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    Rotate a key's secret; the old secret works until the grace period ends
+// @route   POST /api/api-keys/:id/rotate
+// @access  Private/Admin
+const rotateApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+        const before = AuditService.snapshot(apiKey);
+
+        const { apiKey: rotatedKey, key } = await ApiKeyService.rotateKey(apiKey, req.body?.graceHours);
+        await AuditService.record(req, 'apiKey.rotate', { resourceType: 'ApiKey', before, after: rotatedKey });
+
+        res.json({ apiKey: rotatedKey, key });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    Revoke a key immediately
+// @route   DELETE /api/api-keys/:id
+// @access  Private/Admin
+const revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+        const before = AuditService.snapshot(apiKey);
+
+        const revokedKey = await ApiKeyService.revokeKey(apiKey, req.user);
+        await AuditService.record(req, 'apiKey.revoke', { resourceType: 'ApiKey', before, after: revokedKey });
+
+        res.json({ message: 'API key revoked', apiKey: revokedKey });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    createServiceAccount,
+    getServiceAccounts,
+    createApiKey,
+    getApiKeys,
+    getApiKeyById,
+    updateApiKey,
+    rotateApiKey,
+    revokeApiKey
+};
@@ -1,7 +1,16 @@
+const mongoose = require('mongoose');
 const Assignment = require('../models/Assignment');
 const Issue = require('../models/Issue');
 const NotificationService = require('../services/notificationService');
 const CalendarService = require('../services/calendarService');
+const IssueWorkflow = require('../services/issueWorkflow');
+const AssignmentService = require('../services/assignmentService');
+const DepartmentService = require('../services/departmentService');
+const RecommendationService = require('../services/recommendationService');
+const ProgressService = require('../services/progressService');
+const AuditService = require('../services/auditService');
+const AccessPolicy = require('../services/accessPolicy');
+const { parseLimit, isCursorMode, resolveSort, paginateByKeyset } = require('../utils/pagination');
 
 const User = require('../models/User');
 
@@ -11,109 +20,100 @@ const User = require('../models/User');
 const createAssignment = async (req, res) => {
     try {
         const { assignedTo, officerId, priority, deadline, notes, estimatedTime } = req.body;
-        const targetOfficerId = assignedTo || officerId;
-        const { issueId } = req.params;
 
-        // 1. Check if issue exists and is not already resolved/closed
-        const issue = await Issue.findById(issueId);
+        const issue = await Issue.findById(req.params.issueId);
         if (!issue) {
             return res.status(404).json({ message: 'Issue not found' });
         }
 
-        if (['resolved', 'closed'].includes(issue.status)) {
-            return res.status(400).json({ message: 'Cannot assign a resolved or closed issue' });
-        }
-
-        // 2. Prevent duplicate active assignments for the same issue
-        const existingAssignment = await Assignment.findOne({
-            issue: issueId,
-            status: { $in: ['active', 'accepted'] }
-        });
-
-        if (existingAssignment) {
-            return res.status(400).json({ message: 'Issue already has an active assignment' });
-        }
-
-        // 3. Create assignment
-        const assignment = new Assignment({
-            issue: issueId,
-            assignedTo: targetOfficerId,
-            assignedBy: req.user._id,
+        const assignment = await AssignmentService.assignIssue(issue, {
+            officerId: assignedTo || officerId,
+            actor: req.user,
             priority,
             deadline,
             notes,
-            estimatedTime,
-            history: [{
-                action: 'assigned',
-                admin: req.user._id,
-                officer: targetOfficerId,
-                notes: notes || 'Initial assignment'
-            }]
+            estimatedTime
         });
 
-        await assignment.save();
-
-        // 4. Update Issue status
-        issue.status = 'assigned';
-        issue.assignedTo = targetOfficerId;
-        await issue.save();
-
-        // 5. Google Calendar Integration
-        const officer = await User.findById(targetOfficerId);
-        if (officer) {
-            try {
-                console.log('🔄 Creating Google Calendar event...');
-                await CalendarService.createAssignmentEvent(officer, assignment, issue);
-            } catch (calError) {
-                console.error('⚠️ Google Calendar Error:', calError.message);
-            }
-
-            // 6. 🚨 SEND NOTIFICATION EMAILS
-            try {
-                const EmailService = require('../services/emailService');
-                console.log('📨 Sending notification emails...');
-
-                // Populate reportedBy with specific fields to be sure
-                console.log('🔄 Populating reportedBy for issue...');
-                await issue.populate({ path: 'reportedBy', select: 'name email phone' });
-
-                if (!issue.reportedBy || !issue.reportedBy.email) {
-                    console.log('⚠️ Could not populate reporter email. Current reportedBy:', issue.reportedBy);
-                }
+        await AuditService.record(req, 'assignment.create', {
+            resourceType: 'Assignment',
+            after: assignment,
+            metadata: { issue: issue._id }
+        });
 
-                // Email 1: Notify Citizen
-                await EmailService.sendToCitizen(issue, officer);
+        res.status(201).json(assignment);
+    } catch (error) {
+        console.error('Assignment Creation Error:', error);
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
 
-                // Email 2: Notify Officer  
-                await EmailService.sendToOfficer(issue, officer, issue.reportedBy);
-            } catch (emailError) {
-                console.error('❌ Email Notification Error:', emailError.message);
-                console.error(emailError.stack);
-            }
+// @desc    Rank candidate officers for an issue
+// @route   GET /api/assignments/recommend/:issueId
+// @access  Private/Admin
+const getRecommendations = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.issueId);
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found' });
         }
 
-        res.status(201).json(assignment);
+        const { weights, candidates } = await RecommendationService.recommend(issue, {
+            weights: req.query.weights,
+            limit: parseLimit(req.query.limit, 5)
+        });
+
+        res.json({
+            issue: {
+                _id: issue._id,
+                title: issue.title,
+                category: issue.category,
+                priority: issue.priority,
+                location: issue.location
+            },
+            weights,
+            candidates
+        });
     } catch (error) {
-        console.error('Assignment Creation Error:', error);
-        res.status(400).json({ message: error.message });
+        res.status(error.statusCode || 500).json({ message: error.message });
     }
 };
 
+// Sort options exposed to clients for assignment listings
+const ASSIGNMENT_SORTS = {
+    createdAt: { field: 'createdAt', direction: -1 },
+    updatedAt: { field: 'updatedAt', direction: -1 },
+    dueAt: { field: 'dueAt', direction: 1 }
+};
+
 // @desc    Get my assignments (Officer)
 // @route   GET /api/assignments/me
 // @access  Private/Officer
 const getMyAssignments = async (req, res) => {
     try {
-        const { status, limit = 10, page = 1 } = req.query;
+        const { status, page = 1, sort, order, cursor } = req.query;
+        const limit = parseLimit(req.query.limit, 10);
+        const sortSpec = resolveSort(ASSIGNMENT_SORTS, sort, order, 'createdAt');
         const query = { assignedTo: req.user._id };
 
         if (status) query.status = status;
 
+        if (isCursorMode(req.query)) {
+            const { items, next, prev } = await paginateByKeyset(Assignment, query, {
+                field: sortSpec.field,
+                direction: sortSpec.direction,
+                cursor,
+                limit,
+                decorate: q => q.populate('issue')
+            });
+            return res.json({ assignments: items, next, prev, limit, sort: sortSpec.key });
+        }
+
         const assignments = await Assignment.find(query)
             .populate('issue')
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip((parseInt(page) - 1) * parseInt(limit));
+            .sort({ [sortSpec.field]: sortSpec.direction, _id: sortSpec.direction })
+            .limit(limit)
+            .skip((parseInt(page) - 1) * limit);
 
         const total = await Assignment.countDocuments(query);
 
@@ -124,7 +124,62 @@ const getMyAssignments = async (req, res) => {
             total
         });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+// @desc    List open assignments past their due date (Admin)
+// @route   GET /api/assignments/overdue
+// @access  Private/Admin
+const getOverdueAssignments = async (req, res) => {
+    try {
+        const { officer, page = 1, sort, order, cursor } = req.query;
+        const limit = parseLimit(req.query.limit, 10);
+        const sortSpec = resolveSort(ASSIGNMENT_SORTS, sort, order, 'dueAt');
+        const query = { overdue: true, status: { $in: ['active', 'accepted'] } };
+
+        if (officer) {
+            if (!mongoose.Types.ObjectId.isValid(officer)) {
+                return res.status(400).json({ message: 'Invalid officer' });
+            }
+            query.assignedTo = officer;
+        }
+
+        const decorate = q => q
+            .populate('issue', 'title category priority status location')
+            .populate('assignedTo', 'name email')
+            .populate('assignedBy', 'name email');
+        const withOverdueHours = (assignments) => assignments.map(a => ({
+            ...a.toJSON(),
+            overdueHours: Math.round((Date.now() - a.dueAt) / (1000 * 60 * 60))
+        }));
+
+        if (isCursorMode(req.query)) {
+            const { items, next, prev } = await paginateByKeyset(Assignment, query, {
+                field: sortSpec.field,
+                direction: sortSpec.direction,
+                cursor,
+                limit,
+                decorate
+            });
+            return res.json({ assignments: withOverdueHours(items), next, prev, limit, sort: sortSpec.key });
+        }
+
+        const assignments = await decorate(Assignment.find(query)
+            .sort({ [sortSpec.field]: sortSpec.direction, _id: sortSpec.direction })
+            .limit(limit)
+            .skip((parseInt(page) - 1) * limit));
+
+        const total = await Assignment.countDocuments(query);
+
+        res.json({
+            assignments: withOverdueHours(assignments),
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
     }
 };
 
@@ -135,6 +190,7 @@ const getOfficerAssignments = async (req, res) => {
     try {
         const assignments = await Assignment.find({ assignedTo: req.params.id })
             .populate('issue')
+            .populate('routingRule', 'name')
             .sort({ createdAt: -1 });
         res.json(assignments);
     } catch (error) {
@@ -151,6 +207,7 @@ const getAssignmentById = async (req, res) => {
             .populate('issue')
             .populate('assignedTo', 'name email role')
             .populate('assignedBy', 'name email role')
+            .populate('routingRule', 'name')
             .populate('history.officer', 'name')
             .populate('history.admin', 'name');
 
@@ -158,13 +215,18 @@ const getAssignmentById = async (req, res) => {
             return res.status(404).json({ message: 'Assignment not found' });
         }
 
+        const denied = await AccessPolicy.check(req.user, 'assignment:view', { assignment });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
+
         res.json(assignment);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
-// @desc    Officer accepts assignment
+// @desc    Officer accepts assignment (acknowledges it; work starts with /start)
 // @route   PUT /api/assignments/:id/accept
 // @access  Private/Officer
 const acceptAssignment = async (req, res) => {
@@ -174,10 +236,12 @@ const acceptAssignment = async (req, res) => {
         if (!assignment) {
             return res.status(404).json({ message: 'Assignment not found' });
         }
+        const before = AuditService.snapshot(assignment);
 
         // Check if it belongs to the logged-in officer
-        if (assignment.assignedTo.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ message: 'You are not authorized to accept this assignment' });
+        const denied = await AccessPolicy.check(req.user, 'assignment:work', { assignment });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
         }
 
         if (assignment.status !== 'active') {
@@ -192,15 +256,7 @@ const acceptAssignment = async (req, res) => {
         });
 
         await assignment.save();
-
-        // Update issue status to in-progress
-        const issue = await Issue.findByIdAndUpdate(assignment.issue, { status: 'in-progress' }, { new: true }).populate('reportedBy');
-
-        // 🚨 NEW: SEND NOTIFICATION EMAIL TO CITIZEN
-        const EmailService = require('../services/emailService');
-        if (issue && issue.reportedBy) {
-            await EmailService.sendStatusUpdateToCitizen(issue, 'in-progress');
-        }
+        await AuditService.record(req, 'assignment.accept', { resourceType: 'Assignment', before, after: assignment });
 
         // Notify Admin
         const admins = await User.find({ role: 'admin' });
@@ -220,6 +276,115 @@ const acceptAssignment = async (req, res) => {
     }
 };
 
+// @desc    Officer starts work on site (accepts first if needed)
+// @route   PUT /api/assignments/:id/start
+// @access  Private/Officer
+const startAssignment = async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            return res.status(404).json({ message: 'Assignment not found' });
+        }
+        const before = AuditService.snapshot(assignment);
+
+        const denied = await AccessPolicy.check(req.user, 'assignment:work', { assignment });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
+
+        if (!['active', 'accepted'].includes(assignment.status)) {
+            return res.status(400).json({ message: `Cannot start assignment in '${assignment.status}' status` });
+        }
+
+        const issue = await Issue.findById(assignment.issue);
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        const failure = IssueWorkflow.validateTransition(issue, 'in-progress', req.user);
+        if (failure) {
+            return res.status(failure.statusCode).json({ message: failure.message });
+        }
+
+        if (assignment.status === 'active') {
+            assignment.status = 'accepted';
+            assignment.history.push({
+                action: 'accepted',
+                officer: req.user._id,
+                notes: 'Assignment accepted on start of work'
+            });
+        }
+        assignment.startedAt = new Date();
+        assignment.history.push({
+            action: 'started',
+            officer: req.user._id,
+            notes: req.body.notes || 'Work started'
+        });
+        await assignment.save();
+        await AuditService.record(req, 'assignment.start', { resourceType: 'Assignment', before, after: assignment });
+
+        // Update issue status to in-progress
+        IssueWorkflow.applyTransition(issue, 'in-progress', req.user, { reason: req.body.notes || 'Work started by officer' });
+        await issue.save();
+        await issue.populate('reportedBy');
+
+        // 🚨 SEND NOTIFICATION EMAIL TO CITIZEN
+        const EmailService = require('../services/emailService');
+        if (issue && issue.reportedBy) {
+            await EmailService.sendStatusUpdateToCitizen(issue, 'in-progress');
+        }
+
+        res.json(assignment);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    Post a progress note with optional photos
+// @route   POST /api/assignments/:id/progress
+// @access  Private/Officer
+const addProgressUpdate = async (req, res) => {
+    try {
+        const { note, phase } = req.body;
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            return res.status(404).json({ message: 'Assignment not found' });
+        }
+
+        const denied = await AccessPolicy.check(req.user, 'assignment:work', { assignment });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
+
+        const issue = await Issue.findById(assignment.issue);
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        if (assignment.status !== 'accepted' || issue.status !== 'in-progress') {
+            return res.status(409).json({ message: 'Start work on the assignment before posting progress' });
+        }
+
+        const update = await ProgressService.addUpdate(issue, assignment, req.user, {
+            note,
+            phase,
+            files: req.files
+        });
+
+        await AuditService.record(req, 'assignment.progress', {
+            resourceType: 'Assignment',
+            resourceId: assignment._id,
+            metadata: { issue: issue._id, phase: update.phase, photos: update.photos.length }
+        });
+
+        res.status(201).json(update);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
 // @desc    Reassign to new officer
 // @route   PUT /api/assignments/:id/reassign
 // @access  Private/Admin
@@ -236,6 +401,28 @@ const reassignIssue = async (req, res) => {
             return res.status(400).json({ message: 'Cannot reassign a finished or cancelled assignment' });
         }
 
+        const issue = await Issue.findById(oldAssignment.issue);
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        const ineligible = await AssignmentService.checkOfficer(newOfficerId);
+        if (ineligible) {
+            return res.status(ineligible.statusCode).json({ message: ineligible.message });
+        }
+        const coverage = await DepartmentService.checkCoverage(newOfficerId, issue.category);
+        if (coverage) {
+            return res.status(coverage.statusCode).json({ message: coverage.message });
+        }
+
+        issue.assignedTo = newOfficerId;
+        const failure = IssueWorkflow.validateTransition(issue, 'assigned', req.user, { reason: notes });
+        if (failure) {
+            return res.status(failure.statusCode).json({ message: failure.message });
+        }
+
+        const before = AuditService.snapshot(oldAssignment);
+
         // 1. Mark old assignment as reassigned
         oldAssignment.status = 'reassigned';
         oldAssignment.history.push({
@@ -262,11 +449,21 @@ const reassignIssue = async (req, res) => {
         });
         await newAssignment.save();
 
-        // 3. Update Issue
-        const issue = await Issue.findByIdAndUpdate(oldAssignment.issue, {
-            assignedTo: newOfficerId,
-            status: 'assigned' // Reset status to assigned
-        }, { new: true });
+        await AuditService.record(req, 'assignment.reassign', {
+            resourceType: 'Assignment',
+            before,
+            after: oldAssignment,
+            metadata: { newAssignment: newAssignment._id }
+        });
+        await AuditService.record(req, 'assignment.create', {
+            resourceType: 'Assignment',
+            after: newAssignment,
+            metadata: { issue: issue._id, reassignedFrom: oldAssignment._id }
+        });
+
+        // 3. Update Issue (reset status to assigned)
+        IssueWorkflow.applyTransition(issue, 'assigned', req.user, { reason: notes || 'Reassigned to another officer' });
+        await issue.save();
 
         // Google Calendar Integration - On Reassignment
         try {
@@ -314,9 +511,48 @@ const completeAssignment = async (req, res) => {
         if (!assignment) {
             return res.status(404).json({ message: 'Assignment not found' });
         }
+        const before = AuditService.snapshot(assignment);
+
+        const denied = await AccessPolicy.check(req.user, 'assignment:work', { assignment });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
 
-        if (assignment.assignedTo.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ message: 'Not authorized' });
+        const issue = await Issue.findById(assignment.issue);
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        // Accepted but never started (older clients go straight from accept to complete): start it now
+        if (issue.status === 'assigned') {
+            const startFailure = IssueWorkflow.validateTransition(issue, 'in-progress', req.user);
+            if (startFailure) {
+                return res.status(startFailure.statusCode).json({ message: startFailure.message });
+            }
+            IssueWorkflow.applyTransition(issue, 'in-progress', req.user, { reason: 'Work started on completion' });
+            if (!assignment.startedAt) {
+                assignment.startedAt = new Date();
+                assignment.history.push({ action: 'started', officer: req.user._id, notes: 'Work started on completion' });
+            }
+        }
+
+        const failure = IssueWorkflow.validateTransition(issue, 'resolved', req.user);
+        if (failure) {
+            return res.status(failure.statusCode).json({ message: failure.message });
+        }
+
+        // Completion needs "after" evidence; photos may be posted earlier or with this request
+        const uploadedPhotos = req.files ? req.files.length : 0;
+        const missingEvidence = ProgressService.checkAfterPhotos(issue, assignment._id, uploadedPhotos);
+        if (missingEvidence) {
+            return res.status(missingEvidence.statusCode).json({ message: missingEvidence.message });
+        }
+        if (uploadedPhotos) {
+            await ProgressService.addUpdate(issue, assignment, req.user, {
+                note: notes,
+                phase: 'after',
+                files: req.files
+            });
         }
 
         assignment.status = 'completed';
@@ -326,9 +562,12 @@ const completeAssignment = async (req, res) => {
             notes: notes || 'Task completed'
         });
         await assignment.save();
+        await AuditService.record(req, 'assignment.complete', { resourceType: 'Assignment', before, after: assignment });
 
         // Update Issue status to resolved
-        const issue = await Issue.findByIdAndUpdate(assignment.issue, { status: 'resolved' }, { new: true }).populate('reportedBy');
+        IssueWorkflow.applyTransition(issue, 'resolved', req.user, { reason: notes || 'Task completed' });
+        await issue.save();
+        await issue.populate('reportedBy');
 
         // 🚨 NEW: SEND NOTIFICATION EMAIL TO CITIZEN
         const EmailService = require('../services/emailService');
@@ -338,7 +577,7 @@ const completeAssignment = async (req, res) => {
 
         res.json(assignment);
     } catch (error) {
-        res.status(400).json({ message: error.message });
+        res.status(error.statusCode || 400).json({ message: error.message });
     }
 };
 
@@ -352,15 +591,24 @@ const deleteAssignment = async (req, res) => {
         if (!assignment) {
             return res.status(404).json({ message: 'Assignment not found' });
         }
+        const before = AuditService.snapshot(assignment);
+
+        const issue = await Issue.findById(assignment.issue);
+        const failure = issue && IssueWorkflow.validateTransition(issue, 'open', req.user);
+        if (failure) {
+            return res.status(failure.statusCode).json({ message: failure.message });
+        }
 
         assignment.status = 'cancelled';
         await assignment.save();
+        await AuditService.record(req, 'assignment.cancel', { resourceType: 'Assignment', before, after: assignment });
 
         // Reset issue status to open and remove assigned officer
-        await Issue.findByIdAndUpdate(assignment.issue, {
-            status: 'open',
-            $unset: { assignedTo: 1 }
-        });
+        if (issue) {
+            IssueWorkflow.applyTransition(issue, 'open', req.user, { reason: 'Assignment cancelled' });
+            issue.assignedTo = undefined;
+            await issue.save();
+        }
 
         res.json({ message: 'Assignment cancelled and issue returned to open pool' });
     } catch (error) {
@@ -370,10 +618,14 @@ const deleteAssignment = async (req, res) => {
 
 module.exports = {
     createAssignment,
+    getRecommendations,
     getMyAssignments,
+    getOverdueAssignments,
     getOfficerAssignments,
     getAssignmentById,
     acceptAssignment,
+    startAssignment,
+    addProgressUpdate,
     reassignIssue,
     completeAssignment,
     deleteAssignment
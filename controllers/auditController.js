@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { parseLimit, isCursorMode, paginateByKeyset } = require('../utils/pagination');
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Helper: build the audit filter from query params; bad ids/dates give 400
+const buildAuditFilter = ({ actor, action, resourceType, resourceId, requestId, from, to }) => {
+    const filter = {};
+
+    if (actor) {
+        if (!mongoose.Types.ObjectId.isValid(actor)) throw badRequest('Invalid actor');
+        filter.actor = new mongoose.Types.ObjectId(actor);
+    }
+    if (action) {
+        const actions = String(action).split(',').map(a => a.trim()).filter(Boolean);
+        filter.action = actions.length > 1 ? { $in: actions } : actions[0];
+    }
+    if (resourceType) filter.resourceType = resourceType;
+    if (resourceId) {
+        if (!mongoose.Types.ObjectId.isValid(resourceId)) throw badRequest('Invalid resourceId');
+        filter.resourceId = new mongoose.Types.ObjectId(resourceId);
+    }
+    if (requestId) filter.requestId = requestId;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+        if (Object.values(filter.createdAt).some(d => isNaN(d.getTime()))) throw badRequest('Invalid date range');
+    }
+
+    return filter;
+};
+
+// Helper: shared cursor/page listing, newest first
+const listAuditLogs = async (req, res, filter) => {
+    const { page = 1, cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 20);
+    const decorate = q => q.populate('actor', 'name email role');
+
+    if (isCursorMode(req.query)) {
+        const { items, next, prev } = await paginateByKeyset(AuditLog, filter, {
+            field: 'createdAt',
+            direction: -1,
+            cursor,
+            limit,
+            decorate
+        });
+        return res.json({ logs: items, next, prev, limit });
+    }
+
+    const logs = await decorate(AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .skip((parseInt(page) - 1) * limit));
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+        logs,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+    });
+};
+
+// @desc    Search the audit log
+// @route   GET /api/audit
+// @access  Private/Admin
+const getAuditLogs = async (req, res) => {
+    try {
+        await listAuditLogs(req, res, buildAuditFilter(req.query));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+// @desc    Change history of a single resource
+// @route   GET /api/audit/:resourceType/:resourceId
+// @access  Private/Admin
+const getResourceHistory = async (req, res) => {
+    try {
+        const filter = buildAuditFilter({
+            ...req.query,
+            resourceType: req.params.resourceType,
+            resourceId: req.params.resourceId
+        });
+        await listAuditLogs(req, res, filter);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    getResourceHistory
+};
@@ -1,5 +1,8 @@
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const SessionService = require('../services/sessionService');
+const AccountService = require('../services/accountService');
+const LoginProtectionService = require('../services/loginProtectionService');
+const AuditService = require('../services/auditService');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -24,14 +27,24 @@ const registerUser = async (req, res) => {
         });
 
         if (user) {
+            await AuditService.record(req, 'user.register', { resourceType: 'User', after: user });
+            const tokens = await SessionService.createSession(user, req);
+
+            try {
+                await AccountService.sendVerification(user);
+            } catch (emailError) {
+                console.error('⚠️ Verification Email Failed:', emailError.message);
+            }
+
             res.status(201).json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                emailVerified: user.emailVerified,
                 profileImage: user.profileImage?.url,
                 bio: user.bio,
-                token: generateToken(user._id)
+                ...tokens
             });
         }
     } catch (error) {
@@ -46,19 +59,47 @@ const loginUser = async (req, res) => {
     const { email, password } = req.body;
 
     try {
+        const retryAfter = await LoginProtectionService.getRetryAfter(email, req.ip);
+        if (retryAfter) {
+            await LoginProtectionService.record(req, { email, success: false, reason: 'throttled' });
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ msg: `Too many failed attempts. Try again in ${retryAfter} second(s).`, retryAfter });
+        }
+
         const user = await User.findOne({ email });
 
+        if (LoginProtectionService.isLocked(user)) {
+            await LoginProtectionService.record(req, { email, user, success: false, reason: 'locked' });
+            return res.status(423).json({ msg: 'Account is temporarily locked after too many failed attempts', lockedUntil: user.lockedUntil });
+        }
+
         if (user && (await user.matchPassword(password))) {
+            if (user.isActive === false) {
+                await LoginProtectionService.record(req, { email, user, success: false, reason: 'disabled' });
+                return res.status(403).json({ msg: 'This account has been disabled' });
+            }
+            if (user.passwordResetRequired) {
+                await LoginProtectionService.record(req, { email, user, success: false, reason: 'reset_required' });
+                return res.status(403).json({ msg: 'A password reset is required. Check your email for the reset link.' });
+            }
+
+            await LoginProtectionService.recordSuccess(req, user);
+            const tokens = await SessionService.createSession(user, req);
             res.json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                emailVerified: user.emailVerified,
                 profileImage: user.profileImage?.url,
                 bio: user.bio,
-                token: generateToken(user._id)
+                ...tokens
             });
         } else {
+            const lockedUntil = await LoginProtectionService.recordFailure(req, email, user);
+            if (lockedUntil) {
+                return res.status(423).json({ msg: 'Account is temporarily locked after too many failed attempts', lockedUntil });
+            }
             res.status(401).json({ msg: 'Invalid email or password' });
         }
     } catch (error) {
@@ -66,6 +107,116 @@ const loginUser = async (req, res) => {
     }
 };
 
+// @desc    Exchange a refresh token for a new token pair (the refresh token rotates)
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+    try {
+        const tokens = await SessionService.refresh(req.body.refreshToken, req);
+        res.json(tokens);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    End the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+    try {
+        await SessionService.revoke(req.authSession, 'logout');
+        res.json({ msg: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ msg: error.message });
+    }
+};
+
+// @desc    End every session of the current user, on all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+    try {
+        const revoked = await SessionService.revokeAll(req.user._id, 'logout_all');
+        await AuditService.record(req, 'user.logoutAll', {
+            resourceType: 'User',
+            resourceId: req.user._id,
+            metadata: { sessionsRevoked: revoked }
+        });
+        res.json({ msg: 'Logged out of all sessions', sessionsRevoked: revoked });
+    } catch (error) {
+        res.status(500).json({ msg: error.message });
+    }
+};
+
+// @desc    Confirm email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+    try {
+        const { user, issuesPublished } = await AccountService.verifyEmail(req.body.token);
+        await AuditService.record(req, 'user.verifyEmail', {
+            resourceType: 'User',
+            resourceId: user._id,
+            metadata: { issuesPublished }
+        });
+        res.json({ msg: 'Email verified', issuesPublished });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+    try {
+        await AccountService.sendVerification(req.user);
+        res.json({ msg: 'Verification email sent' });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+    try {
+        await AccountService.requestPasswordReset(req.body.email);
+        // Same answer whether or not the address has an account
+        res.json({ msg: 'If an account exists for that email, a reset link has been sent' });
+    } catch (error) {
+        res.status(500).json({ msg: error.message });
+    }
+};
+
+// @desc    Set a new password with the emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const user = await AccountService.resetPassword(token, password);
+        await AuditService.record(req, 'user.resetPassword', { resourceType: 'User', resourceId: user._id });
+        res.json({ msg: 'Password updated. Please log in again.' });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Recent sign-in attempts on my account
+// @route   GET /api/auth/sign-ins
+// @access  Private
+const getRecentSignIns = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const signIns = await LoginProtectionService.getRecentSignIns(req.user, limit);
+        res.json(signIns);
+    } catch (error) {
+        res.status(500).json({ msg: error.message });
+    }
+};
+
 const getMe = async (req, res) => {
     try {
         const user = await User.findById(req.user._id);
@@ -75,6 +226,7 @@ const getMe = async (req, res) => {
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                emailVerified: user.emailVerified,
                 location: user.location,
                 phone: user.phone,
                 profileImage: user.profileImage?.url,
@@ -88,4 +240,16 @@ const getMe = async (req, res) => {
     }
 };
 
-module.exports = { registerUser, loginUser, getMe };
+module.exports = {
+    registerUser,
+    loginUser,
+    refreshToken,
+    logoutUser,
+    logoutAllSessions,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    getRecentSignIns,
+    getMe
+};
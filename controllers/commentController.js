@@ -0,0 +1,116 @@
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const CommentService = require('../services/commentService');
+const AuditService = require('../services/auditService');
+const { canSeeIssue } = require('../utils/issueFilters');
+
+// Helper: Load a comment of the issue in the URL, hiding internal notes from citizens
+const findComment = (req) => Comment.findOne({
+    _id: req.params.commentId,
+    ...CommentService.visibilityFilter(req.params.id, req.user)
+});
+
+// @desc    Get the comment threads of an issue
+// @route   GET /api/issues/:id/comments
+// @access  Private
+const getIssueComments = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.id).select('reportedBy pendingVerification');
+        // Issues awaiting the reporter's email verification stay hidden from other citizens
+        if (!issue || !canSeeIssue(issue, req.user)) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        res.json(await CommentService.getThread(issue._id, req.user));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Comment on an issue or reply to a comment
+// @route   POST /api/issues/:id/comments
+// @access  Private
+const addComment = async (req, res) => {
+    try {
+        const { text, visibility, parent } = req.body;
+
+        const issue = await Issue.findById(req.params.id);
+        if (!issue || !canSeeIssue(issue, req.user)) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        const comment = await CommentService.addComment(issue, req.user, { text, visibility, parent });
+        await AuditService.record(req, 'comment.create', {
+            resourceType: 'Comment',
+            after: comment,
+            metadata: { issue: issue._id }
+        });
+
+        await comment.populate('author', 'name role');
+        res.status(201).json(comment);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    Edit own comment
+// @route   PUT /api/issues/:id/comments/:commentId
+// @access  Private
+const updateComment = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.id);
+        if (!issue || !canSeeIssue(issue, req.user)) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        const comment = await findComment(req);
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const before = AuditService.snapshot(comment);
+        await CommentService.editComment(issue, comment, req.user, req.body.text);
+        await AuditService.record(req, 'comment.update', { resourceType: 'Comment', before, after: comment });
+
+        await comment.populate('author', 'name role');
+        res.json(comment);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    Delete comment (own, or any as admin)
+// @route   DELETE /api/issues/:id/comments/:commentId
+// @access  Private
+const deleteComment = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.id).select('reportedBy pendingVerification');
+        if (!issue || !canSeeIssue(issue, req.user)) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        const comment = await findComment(req);
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+
+        const before = AuditService.snapshot(comment);
+        const removed = await CommentService.deleteComment(comment, req.user);
+        await AuditService.record(req, 'comment.delete', {
+            resourceType: 'Comment',
+            before,
+            after: removed ? null : comment
+        });
+
+        res.json({ message: removed ? 'Comment removed' : 'Comment removed; its replies were kept' });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    getIssueComments,
+    addComment,
+    updateComment,
+    deleteComment
+};
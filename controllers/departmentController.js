@@ -0,0 +1,125 @@
+const Department = require('../models/Department');
+const DepartmentService = require('../services/departmentService');
+const AuditService = require('../services/auditService');
+
+// @desc    Create department
+// @route   POST /api/departments
+// @access  Private/Admin
+const createDepartment = async (req, res) => {
+    try {
+        const { name, description, categories, head, members, isActive } = req.body;
+
+        const memberIds = await DepartmentService.validateMembership({ head, members });
+
+        const department = await Department.create({
+            name,
+            description,
+            categories,
+            head,
+            members: memberIds,
+            isActive,
+            createdBy: req.user._id
+        });
+
+        await AuditService.record(req, 'department.create', { resourceType: 'Department', after: department });
+
+        res.status(201).json(department);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A department with this name already exists' });
+        }
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    List departments
+// @route   GET /api/departments
+// @access  Private
+const getDepartments = async (req, res) => {
+    try {
+        const { category, active } = req.query;
+        const query = {};
+
+        if (category) query.categories = category;
+        if (active !== undefined) query.isActive = active === 'true';
+
+        const departments = await Department.find(query)
+            .populate('head', 'name email')
+            .sort({ name: 1 });
+        res.json(departments);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get department with members and their skills
+// @route   GET /api/departments/:id
+// @access  Private
+const getDepartmentById = async (req, res) => {
+    try {
+        const department = await Department.findById(req.params.id)
+            .populate('head', 'name email skills')
+            .populate('members', 'name email skills');
+        if (!department) return res.status(404).json({ message: 'Department not found' });
+        res.json(department);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Update department
+// @route   PUT /api/departments/:id
+// @access  Private/Admin
+const updateDepartment = async (req, res) => {
+    try {
+        const department = await Department.findById(req.params.id);
+        if (!department) return res.status(404).json({ message: 'Department not found' });
+        const before = AuditService.snapshot(department);
+
+        const { name, description, categories, head, members, isActive } = req.body;
+        if (name) department.name = name;
+        if (description !== undefined) department.description = description;
+        if (categories) department.categories = categories;
+        if (isActive !== undefined) department.isActive = isActive;
+
+        if (head !== undefined || members) {
+            const nextHead = head !== undefined ? head : department.head;
+            department.members = await DepartmentService.validateMembership({
+                head: nextHead,
+                members: members || department.members
+            }, department._id);
+            department.head = nextHead || undefined;
+        }
+
+        await department.save();
+        await AuditService.record(req, 'department.update', { resourceType: 'Department', before, after: department });
+        res.json(department);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A department with this name already exists' });
+        }
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    Delete department (members become unrestricted)
+// @route   DELETE /api/departments/:id
+// @access  Private/Admin
+const deleteDepartment = async (req, res) => {
+    try {
+        const department = await Department.findByIdAndDelete(req.params.id);
+        if (!department) return res.status(404).json({ message: 'Department not found' });
+        await AuditService.record(req, 'department.delete', { resourceType: 'Department', before: department });
+        res.json({ message: 'Department removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    createDepartment,
+    getDepartments,
+    getDepartmentById,
+    updateDepartment,
+    deleteDepartment
+};
@@ -3,6 +3,16 @@ const Issue = require('../models/Issue');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const NotificationService = require('../services/notificationService');
+const AuditService = require('../services/auditService');
+const AccessPolicy = require('../services/accessPolicy');
+const { parseLimit, isCursorMode, resolveSort, paginateByKeyset } = require('../utils/pagination');
+
+// Sort options exposed to clients for feedback listings
+const FEEDBACK_SORTS = {
+    createdAt: { field: 'createdAt', direction: -1 },
+    updatedAt: { field: 'updatedAt', direction: -1 },
+    rating: { field: 'rating', direction: -1 }
+};
 
 // @desc    Submit feedback
 // @route   POST /api/feedback/:issueId
@@ -23,8 +33,9 @@ const createFeedback = async (req, res) => {
         }
 
         // 2. Verify ownership
-        if (issue.reportedBy.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ message: 'Only the citizen who reported the issue can provide feedback' });
+        const denied = await AccessPolicy.check(req.user, 'feedback:submit', { issue });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
         }
 
         // 3. Check for dedicated officer
@@ -42,6 +53,7 @@ const createFeedback = async (req, res) => {
         });
 
         await feedback.save();
+        await AuditService.record(req, 'feedback.create', { resourceType: 'Feedback', after: feedback });
 
         // Notify officer immediately
         await NotificationService.createNotification(
@@ -74,14 +86,31 @@ const getMyFeedback = async (req, res) => {
             query.status = 'approved'; // Officers only see approved feedback
         }
 
-        const feedbacks = await Feedback.find(query)
+        const { sort, order, cursor } = req.query;
+        const sortSpec = resolveSort(FEEDBACK_SORTS, sort, order, 'createdAt');
+        const decorate = q => q
             .populate('issue', 'title category status')
-            .populate('citizen', 'name')
-            .sort({ createdAt: -1 });
+            .populate('citizen', 'name');
+
+        if (isCursorMode(req.query)) {
+            const limit = parseLimit(req.query.limit, 10);
+            const { items, next, prev } = await paginateByKeyset(Feedback, query, {
+                field: sortSpec.field,
+                direction: sortSpec.direction,
+                cursor,
+                limit,
+                decorate
+            });
+            return res.json({ feedback: items, next, prev, limit, sort: sortSpec.key });
+        }
+
+        // Without a cursor the full history is returned as before
+        const feedbacks = await decorate(Feedback.find(query)
+            .sort({ [sortSpec.field]: sortSpec.direction, _id: sortSpec.direction }));
 
         res.json(feedbacks);
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(error.statusCode || 500).json({ message: error.message });
     }
 };
 
@@ -100,6 +129,11 @@ const getFeedbackById = async (req, res) => {
             return res.status(404).json({ message: 'Feedback not found' });
         }
 
+        const denied = await AccessPolicy.check(req.user, 'feedback:view', { feedback });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
+
         res.json(feedback);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -114,9 +148,11 @@ const updateFeedback = async (req, res) => {
         const feedback = await Feedback.findById(req.params.id);
 
         if (!feedback) return res.status(404).json({ message: 'Feedback not found' });
+        const before = AuditService.snapshot(feedback);
 
-        if (feedback.citizen.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ message: 'Not authorized' });
+        const denied = await AccessPolicy.check(req.user, 'feedback:edit', { feedback });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
         }
 
         if (feedback.status === 'approved') {
@@ -128,6 +164,7 @@ const updateFeedback = async (req, res) => {
         feedback.isAnonymous = req.body.isAnonymous !== undefined ? req.body.isAnonymous : feedback.isAnonymous;
 
         const updatedFeedback = await feedback.save();
+        await AuditService.record(req, 'feedback.update', { resourceType: 'Feedback', before, after: updatedFeedback });
         res.json(updatedFeedback);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -142,11 +179,13 @@ const deleteFeedback = async (req, res) => {
         const feedback = await Feedback.findById(req.params.id);
         if (!feedback) return res.status(404).json({ message: 'Feedback not found' });
 
-        if (req.user.role !== 'admin' && feedback.citizen.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ message: 'Not authorized' });
+        const denied = await AccessPolicy.check(req.user, 'feedback:delete', { feedback });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
         }
 
         await feedback.deleteOne();
+        await AuditService.record(req, 'feedback.delete', { resourceType: 'Feedback', before: feedback });
         res.json({ message: 'Feedback removed' });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -160,9 +199,11 @@ const approveFeedback = async (req, res) => {
     try {
         const feedback = await Feedback.findById(req.params.id);
         if (!feedback) return res.status(404).json({ message: 'Feedback not found' });
+        const before = AuditService.snapshot(feedback);
 
         feedback.status = 'approved';
         await feedback.save();
+        await AuditService.record(req, 'feedback.approve', { resourceType: 'Feedback', before, after: feedback });
 
         // Update officer rating stats
         const stats = await Feedback.getOfficerAverageRating(feedback.officer);
@@ -193,9 +234,11 @@ const rejectFeedback = async (req, res) => {
     try {
         const feedback = await Feedback.findById(req.params.id);
         if (!feedback) return res.status(404).json({ message: 'Feedback not found' });
+        const before = AuditService.snapshot(feedback);
 
         feedback.status = 'rejected';
         await feedback.save();
+        await AuditService.record(req, 'feedback.reject', { resourceType: 'Feedback', before, after: feedback });
         res.json(feedback);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -211,16 +254,19 @@ const addReply = async (req, res) => {
         if (!feedback) return res.status(404).json({ message: 'Feedback not found' });
 
         // Only assigned officer or admin can reply
-        if (req.user.role !== 'admin' && feedback.officer.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ message: 'Not authorized to reply to this feedback' });
+        const denied = await AccessPolicy.check(req.user, 'feedback:reply', { feedback });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
         }
 
+        const before = AuditService.snapshot(feedback);
         feedback.replies.push({
             text: req.body.text,
             user: req.user._id
         });
 
         await feedback.save();
+        await AuditService.record(req, 'feedback.reply', { resourceType: 'Feedback', before, after: feedback });
 
         // Notify citizen about the reply
         await NotificationService.createNotification(
@@ -1,13 +1,52 @@
 const Issue = require('../models/Issue');
+const Assignment = require('../models/Assignment');
 const AIService = require('../services/aiService');
-const cloudinary = require('cloudinary').v2;
-
-// Cloudinary Config
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const DuplicateService = require('../services/duplicateService');
+const IssueWorkflow = require('../services/issueWorkflow');
+const UpvoteService = require('../services/upvoteService');
+const MapService = require('../services/mapService');
+const ZoneService = require('../services/zoneService');
+const RoutingService = require('../services/routingService');
+const DepartmentService = require('../services/departmentService');
+const AssignmentService = require('../services/assignmentService');
+const MediaService = require('../services/mediaService');
+const ProgressService = require('../services/progressService');
+const ResolutionService = require('../services/resolutionService');
+const PurgeService = require('../services/purgeService');
+const AuditService = require('../services/auditService');
+const AccessPolicy = require('../services/accessPolicy');
+const CommentService = require('../services/commentService');
+const ApiKeyService = require('../services/apiKeyService');
+const { buildIssueHighlights } = require('../utils/search');
+const {
+    parseLimit,
+    isCursorMode,
+    resolveSort,
+    paginateByKeyset,
+    paginateByOffset,
+    paginateByDistance
+} = require('../utils/pagination');
+const {
+    buildIssueFilter,
+    parseBbox,
+    restrictToBbox,
+    withinRadius,
+    canSeeIssue,
+    scopeToVisible
+} = require('../utils/issueFilters');
+
+// Upper bound on features returned by the GeoJSON export
+const GEOJSON_MAX_FEATURES = parseInt(process.env.GEOJSON_MAX_FEATURES) || 2000;
+
+// Helper: Parse location sent as JSON string (FormData) or object; null if malformed
+const parseLocation = (location) => {
+    if (typeof location !== 'string') return location;
+    try {
+        return JSON.parse(location);
+    } catch (e) {
+        return null;
+    }
+};
 
 // @desc    Create new issue
 // @route   POST /api/issues
@@ -32,62 +71,94 @@ const createIssue = async (req, res) => {
         }
 
         // Handle images upload to Cloudinary
-        const files = req.files;
-        let imageUrls = [];
-
-        if (files && files.length > 0) {
-            imageUrls = await Promise.all(files.map(async (file) => {
-                const b64 = Buffer.from(file.buffer).toString("base64");
-                let dataURI = "data:" + file.mimetype + ";base64," + b64;
-                const result = await cloudinary.uploader.upload(dataURI, {
-                    folder: 'citypulse/issues'
-                });
-                return {
-                    url: result.secure_url,
-                    publicId: result.public_id
-                };
-            }));
-        }
+        const imageUrls = await MediaService.uploadImages(req.files, 'citypulse/issues');
 
         // Parse location if it's a string (from FormData)
-        let parsedLocation = location;
-        if (typeof location === 'string') {
-            try {
-                parsedLocation = JSON.parse(location);
-            } catch (e) {
-                return res.status(400).json({ message: 'Invalid location format' });
-            }
+        const parsedLocation = parseLocation(location);
+        if (parsedLocation === null) {
+            return res.status(400).json({ message: 'Invalid location format' });
         }
 
         const finalTitle = title || aiSuggestions.suggestedTitle || 'Issue Report';
         const finalCategory = category || aiSuggestions.suggestedCategory || 'road';
         const finalPriority = priority || aiSuggestions.suggestedPriority || 'medium';
 
+        // API keys can be limited to the categories their integration reports on
+        if (req.apiKey && !ApiKeyService.allowsCategory(req.apiKey, finalCategory)) {
+            return res.status(403).json({ message: `This API key cannot report issues in the '${finalCategory}' category` });
+        }
+
+        // Tag the ward and district containing the reported location
+        const zones = await ZoneService.resolveZones(parsedLocation?.coordinates);
+
         const issue = new Issue({
             title: finalTitle,
             description,
             category: finalCategory,
             priority: finalPriority,
             location: parsedLocation,
+            zones: zones.map(zone => zone._id),
             images: imageUrls,
-            reportedBy: req.user._id
+            reportedBy: req.user._id,
+            source: req.apiKey ? 'api' : 'app',
+            apiKey: req.apiKey?._id,
+            // Reports from unverified citizens stay private until the email address is confirmed
+            pendingVerification: req.user.role === 'citizen' && !req.user.emailVerified
         });
 
         const createdIssue = await issue.save();
+        await AuditService.record(req, 'issue.create', {
+            resourceType: 'Issue',
+            after: createdIssue,
+            metadata: req.apiKey ? { apiKey: req.apiKey._id, apiKeyPrefix: req.apiKey.prefix } : undefined
+        });
+
+        // 🚨 NEW: SEND WELCOME EMAIL TO CITIZEN (service accounts have no mailbox)
+        if (!req.apiKey) {
+            try {
+                console.log(`📨 Attempting to send welcome email to: ${req.user.email}`);
+                const EmailService = require('../services/emailService');
+                await EmailService.sendIssueReportedEmail(createdIssue, req.user);
+            } catch (emailError) {
+                console.error('⚠️ Welcome Email Failed:', emailError.message);
+            }
+        }
 
-        // 🚨 NEW: SEND WELCOME EMAIL TO CITIZEN
+        // Surface likely duplicates so the client can offer to follow them instead
+        let possibleDuplicates = [];
         try {
-            console.log(`📨 Attempting to send welcome email to: ${req.user.email}`);
-            const EmailService = require('../services/emailService');
-            await EmailService.sendIssueReportedEmail(createdIssue, req.user);
-        } catch (emailError) {
-            console.error('⚠️ Welcome Email Failed:', emailError.message);
+            possibleDuplicates = await DuplicateService.findCandidates({
+                title: createdIssue.title,
+                description: createdIssue.description,
+                category: createdIssue.category,
+                location: createdIssue.location,
+                excludeId: createdIssue._id
+            });
+        } catch (dupError) {
+            console.error('⚠️ Duplicate Detection Failed:', dupError.message);
+        }
+
+        // Hand the issue to an officer when a routing rule applies
+        let routing = null;
+        try {
+            routing = await RoutingService.routeIssue(createdIssue);
+            if (routing) {
+                await AuditService.record(req, 'assignment.route', {
+                    resourceType: 'Assignment',
+                    after: routing.assignment,
+                    metadata: { routingRule: routing.rule._id, issue: createdIssue._id }
+                });
+            }
+        } catch (routingError) {
+            console.error('⚠️ Automatic Routing Failed:', routingError.message);
         }
 
         res.status(201).json({
             success: true,
             issue: createdIssue,
-            aiSuggestions
+            aiSuggestions,
+            possibleDuplicates,
+            assignment: routing ? routing.assignment : null
         });
     } catch (error) {
         console.error('Create Issue Error:', error);
@@ -124,61 +195,303 @@ const getAISuggestions = async (req, res) => {
     }
 };
 
+// @desc    Check for duplicates before submitting an issue
+// @route   POST /api/issues/check-duplicates
+// @access  Private
+const checkDuplicates = async (req, res) => {
+    try {
+        const { title, description, category } = req.body;
+        const location = parseLocation(req.body.location);
+
+        if (!category || !location?.coordinates) {
+            return res.status(400).json({ message: 'Category and location coordinates are required' });
+        }
+
+        const duplicates = await DuplicateService.findCandidates({ title, description, category, location });
+        res.json({ duplicates, count: duplicates.length });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Merge a duplicate issue into this (canonical) issue
+// @route   POST /api/issues/:id/merge
+// @access  Private/Admin
+const mergeIssue = async (req, res) => {
+    try {
+        const { duplicateId } = req.body;
+
+        if (!duplicateId) {
+            return res.status(400).json({ message: 'duplicateId is required' });
+        }
+        if (duplicateId === req.params.id) {
+            return res.status(400).json({ message: 'An issue cannot be merged into itself' });
+        }
+
+        const [canonical, duplicate] = await Promise.all([
+            Issue.findById(req.params.id),
+            Issue.findById(duplicateId)
+        ]);
+
+        if (!canonical || !duplicate) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+        if (canonical.duplicateOf) {
+            return res.status(400).json({ message: 'Target issue is itself a duplicate; merge into the original instead' });
+        }
+        if (duplicate.duplicateOf) {
+            return res.status(400).json({ message: 'Issue has already been merged' });
+        }
+        // Followers of a hidden issue would receive updates about a report nobody else can see
+        if (canonical.pendingVerification) {
+            return res.status(409).json({ message: 'Target issue is still awaiting email verification by its reporter' });
+        }
+
+        const canonicalBefore = AuditService.snapshot(canonical);
+        const duplicateBefore = AuditService.snapshot(duplicate);
+
+        const result = await DuplicateService.mergeIssues(canonical, duplicate, req.user);
+
+        await AuditService.record(req, 'issue.merge', {
+            resourceType: 'Issue', before: canonicalBefore, after: result.canonical, metadata: { duplicate: duplicate._id }
+        });
+        await AuditService.record(req, 'issue.merge', {
+            resourceType: 'Issue', before: duplicateBefore, after: result.duplicate, metadata: { canonical: canonical._id }
+        });
+
+        res.json({
+            message: 'Issues merged successfully',
+            issue: result.canonical,
+            duplicate: result.duplicate
+        });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// Sort options exposed to clients for issue listings
+const ISSUE_SORTS = {
+    createdAt: { field: 'createdAt', direction: -1 },
+    updatedAt: { field: 'updatedAt', direction: -1 },
+    priority: { field: 'priorityRank', direction: -1 },
+    upvotes: { field: 'upvoteCount', direction: -1 },
+    distance: { field: 'distance', direction: 1 }
+};
+
 // @desc    List all issues with filters
 // @route   GET /api/issues
 // @access  Private
 const getIssues = async (req, res) => {
     try {
         const {
-            status,
-            category,
-            priority,
-            assignedTo,
-            reportedBy,
-            limit = 10,
             page = 1,
             lat,
             lng,
-            radius = 5000 // meters
+            radius = 5000, // meters
+            sort,
+            order,
+            q,
+            cursor
         } = req.query;
+        const limit = parseLimit(req.query.limit, 10);
+
+        const query = buildIssueFilter(req.query);
+        const searchText = typeof q === 'string' ? q.trim() : '';
 
-        const query = {};
+        // Officers only see categories their department handles; admins may filter by department
+        await DepartmentService.scopeIssueFilter(query, req.user, req.query.department);
+        scopeToVisible(query, req.user);
 
-        if (status) query.status = status;
-        if (category) query.category = category;
-        if (priority) query.priority = priority;
-        if (assignedTo) query.assignedTo = assignedTo;
-        if (reportedBy) query.reportedBy = reportedBy;
+        // Full-text search across title, description, address and comments
+        if (searchText) query.$text = { $search: searchText };
+
+        const point = lat && lng ? [parseFloat(lng), parseFloat(lat)] : null;
+        // With coordinates (and no text search) the nearest issues come first unless another sort is asked for
+        const sortSpec = resolveSort(ISSUE_SORTS, sort, order, point && !searchText ? 'distance' : 'createdAt');
+        const byRelevance = searchText && !sort;
+
+        if (sortSpec.key === 'distance' && !point) {
+            return res.status(400).json({ message: 'Sorting by distance requires lat and lng' });
+        }
+        if (sortSpec.key === 'distance' && searchText) {
+            return res.status(400).json({ message: 'Sorting by distance cannot be combined with text search' });
+        }
 
         // Geo search if lat/lng are provided
-        if (lat && lng) {
+        // Only distance ordering needs $near; it cannot be combined with $text or countDocuments
+        const radiusFilter = point && withinRadius(point, parseInt(radius));
+
+        const projection = searchText ? { score: { $meta: 'textScore' } } : null;
+        // Comment texts are only loaded to build highlights and are not returned
+        const decorate = (issueQuery) => (searchText ? issueQuery.select('+commentText') : issueQuery)
+            .populate('reportedBy', 'name email')
+            .populate('assignedTo', 'name email');
+        const withHighlights = (issues) => (searchText
+            ? issues.map(issue => {
+                const { commentText, ...rest } = issue.toJSON();
+                return { ...rest, highlights: buildIssueHighlights({ ...rest, commentText }, searchText) };
+            })
+            : issues);
+
+        // Cursor mode: stable pages with opaque next/prev tokens
+        if (isCursorMode(req.query)) {
+            let result;
+            if (sortSpec.key === 'distance') {
+                result = await paginateByDistance(Issue, query, {
+                    point, maxDistance: parseInt(radius), cursor, limit, projection, decorate
+                });
+            } else {
+                if (radiusFilter) query.location = radiusFilter;
+                result = byRelevance
+                    ? await paginateByOffset(Issue, query, {
+                        sort: { score: { $meta: 'textScore' }, _id: -1 }, cursor, limit, projection, decorate
+                    })
+                    : await paginateByKeyset(Issue, query, {
+                        field: sortSpec.field, direction: sortSpec.direction, cursor, limit, projection, decorate
+                    });
+            }
+
+            return res.json({
+                issues: withHighlights(result.items),
+                next: result.next,
+                prev: result.prev,
+                limit,
+                sort: byRelevance ? 'relevance' : sortSpec.key
+            });
+        }
+
+        // Page-number mode (existing clients)
+        const countQuery = { ...query };
+        let sortOrder = { [sortSpec.field]: sortSpec.direction, _id: sortSpec.direction };
+        if (point) {
+            countQuery.location = radiusFilter;
+            query.location = radiusFilter;
+        }
+        if (sortSpec.key === 'distance') {
+            sortOrder = null; // $near returns nearest first
             query.location = {
                 $near: {
                     $geometry: {
                         type: 'Point',
-                        coordinates: [parseFloat(lng), parseFloat(lat)]
+                        coordinates: point
                     },
                     $maxDistance: parseInt(radius)
                 }
             };
+        } else if (byRelevance) {
+            sortOrder = { score: { $meta: 'textScore' }, createdAt: -1 };
         }
 
-        const total = await Issue.countDocuments(query);
-        const issues = await Issue.find(query)
-            .populate('reportedBy', 'name email')
-            .populate('assignedTo', 'name email')
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip((parseInt(page) - 1) * parseInt(limit));
+        const total = await Issue.countDocuments(countQuery);
+        let issueQuery = Issue.find(query, projection);
+        if (sortOrder) issueQuery = issueQuery.sort(sortOrder);
+        const issues = await decorate(issueQuery
+            .limit(limit)
+            .skip((parseInt(page) - 1) * limit));
 
         res.json({
-            issues,
+            issues: withHighlights(issues),
             page: parseInt(page),
             pages: Math.ceil(total / limit),
             total
         });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+// @desc    Export issues as a GeoJSON FeatureCollection for map clients
+// @route   GET /api/issues.geojson
+// @access  Private
+const getIssuesGeoJson = async (req, res) => {
+    try {
+        const query = scopeToVisible(buildIssueFilter(req.query), req.user);
+        const bbox = parseBbox(req.query.bbox);
+        if (bbox) restrictToBbox(query, bbox);
+
+        const limit = Math.min(parseInt(req.query.limit) || GEOJSON_MAX_FEATURES, GEOJSON_MAX_FEATURES);
+
+        const issues = await Issue.find(query)
+            .select('title status category priority location upvoteCount createdAt updatedAt')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+
+        const featureCollection = {
+            type: 'FeatureCollection',
+            features: issues.map(issue => ({
+                type: 'Feature',
+                id: issue._id.toString(),
+                geometry: {
+                    type: 'Point',
+                    coordinates: issue.location.coordinates
+                },
+                properties: {
+                    id: issue._id.toString(),
+                    title: issue.title,
+                    status: issue.status,
+                    category: issue.category,
+                    priority: issue.priority,
+                    address: issue.location.address || null,
+                    upvoteCount: issue.upvoteCount || 0,
+                    createdAt: issue.createdAt,
+                    updatedAt: issue.updatedAt
+                }
+            }))
+        };
+        if (bbox) {
+            const { minLng, minLat, maxLng, maxLat } = bbox.bounds;
+            featureCollection.bbox = [minLng, minLat, maxLng, maxLat];
+        }
+
+        res.type('application/geo+json').send(JSON.stringify(featureCollection));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+// Helper: Parse the shared map query (filters + required bbox + zoom)
+const parseMapQuery = (query, user) => {
+    const bbox = parseBbox(query.bbox);
+    if (!bbox) {
+        const error = new Error('bbox is required (minLng,minLat,maxLng,maxLat)');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const zoom = query.zoom === undefined ? 12 : parseInt(query.zoom);
+    if (Number.isNaN(zoom) || zoom < 0 || zoom > 22) {
+        const error = new Error('zoom must be an integer between 0 and 22');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return { filter: scopeToVisible(buildIssueFilter(query), user), bbox, zoom };
+};
+
+// @desc    Grid clusters of issues for the map viewport
+// @route   GET /api/issues/map/clusters
+// @access  Private
+const getIssueClusters = async (req, res) => {
+    try {
+        const { filter, bbox, zoom } = parseMapQuery(req.query, req.user);
+        const result = await MapService.getClusters(filter, bbox, zoom);
+        res.json(result);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+// @desc    Weighted heatmap points for the map viewport
+// @route   GET /api/issues/map/heatmap
+// @access  Private
+const getIssueHeatmap = async (req, res) => {
+    try {
+        const { filter, bbox, zoom } = parseMapQuery(req.query, req.user);
+        const result = await MapService.getHeatmap(filter, bbox, zoom);
+        res.json(result);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
     }
 };
 
@@ -190,13 +503,38 @@ const getIssueById = async (req, res) => {
         const issue = await Issue.findById(req.params.id)
             .populate('reportedBy', 'name email')
             .populate('assignedTo', 'name email')
-            .populate('comments.user', 'name role');
+            .populate('progressUpdates.officer', 'name');
 
-        if (!issue) {
+        if (!issue || !canSeeIssue(issue, req.user)) {
             return res.status(404).json({ message: 'Issue not found' });
         }
 
-        res.json(issue);
+        // `comments` is deprecated: the flat public list older clients render; threads live at /:id/comments
+        res.json({ ...issue.toJSON(), comments: await CommentService.getLegacyComments(issue._id) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Before/after photo comparison and field progress for an issue
+// @route   GET /api/issues/:id/evidence
+// @access  Private
+const getIssueEvidence = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.id)
+            .select('title status category images progressUpdates reportedBy pendingVerification')
+            .populate('progressUpdates.officer', 'name');
+
+        if (!issue || !canSeeIssue(issue, req.user)) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        res.json({
+            issueId: issue._id,
+            title: issue.title,
+            status: issue.status,
+            ...ProgressService.getEvidence(issue)
+        });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -213,39 +551,129 @@ const updateIssue = async (req, res) => {
             return res.status(404).json({ message: 'Issue not found' });
         }
 
-        const { status, priority, assignedTo, comment, resolutionTime } = req.body;
+        const denied = await AccessPolicy.check(req.user, 'issue:update', { issue });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
 
-        // Workflow Logic
-        if (status) {
-            issue.status = status;
+        const { status, priority, assignedTo, comment, reason, resolutionTime } = req.body;
+        const before = AuditService.snapshot(issue);
 
-            // Calculate resolution time if status is being set to 'resolved'
-            if (status === 'resolved' && !issue.resolutionTime) {
-                const diffInMs = new Date() - issue.createdAt;
-                const diffInHours = Math.round(diffInMs / (1000 * 60 * 60));
-                issue.resolutionTime = resolutionTime || diffInHours;
+        if (priority) issue.priority = priority;
+        if (assignedTo) {
+            // Same officer and department rules as createAssignment/reassignIssue
+            const ineligible = await AssignmentService.checkOfficer(assignedTo);
+            if (ineligible) {
+                return res.status(ineligible.statusCode).json({ message: ineligible.message });
+            }
+            const coverage = await DepartmentService.checkCoverage(assignedTo, issue.category);
+            if (coverage) {
+                return res.status(coverage.statusCode).json({ message: coverage.message });
             }
+            issue.assignedTo = assignedTo;
         }
 
-        if (priority) issue.priority = priority;
-        if (assignedTo) issue.assignedTo = assignedTo;
+        // Workflow Logic: status changes must follow the declared transition graph
+        if (status) {
+            const transitionReason = reason || comment;
+            const failure = IssueWorkflow.validateTransition(issue, status, req.user, { reason: transitionReason });
+            if (failure) {
+                return res.status(failure.statusCode).json({ message: failure.message });
+            }
+            // Officers resolving here need the same "after" evidence as completing the assignment
+            if (status === 'resolved' && issue.status !== 'resolved' && req.user.role === 'officer') {
+                const assignment = await Assignment.findOne({
+                    issue: issue._id,
+                    assignedTo: req.user._id,
+                    status: { $in: ['active', 'accepted'] }
+                }).select('_id');
+                const missingEvidence = ProgressService.checkAfterPhotos(issue, assignment?._id);
+                if (missingEvidence) {
+                    return res.status(missingEvidence.statusCode).json({ message: missingEvidence.message });
+                }
+            }
+            IssueWorkflow.applyTransition(issue, status, req.user, { reason: transitionReason, resolutionTime });
+        }
 
-        // Add comment if provided
+        const updatedIssue = await issue.save();
+        await AuditService.record(req, 'issue.update', { resourceType: 'Issue', before, after: updatedIssue });
+
+        // A comment sent with the update joins the issue's discussion thread
         if (comment) {
-            issue.comments.push({
-                text: comment,
-                user: req.user._id
+            const created = await CommentService.addComment(updatedIssue, req.user, { text: comment });
+            await AuditService.record(req, 'comment.create', {
+                resourceType: 'Comment',
+                after: created,
+                metadata: { issue: updatedIssue._id }
             });
         }
 
-        const updatedIssue = await issue.save();
         res.json(updatedIssue);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 };
 
-// @desc    Delete issue
+// @desc    Reporter confirms the resolution (closes the issue)
+// @route   POST /api/issues/:id/confirm
+// @access  Private/Citizen
+const confirmResolution = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.id);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        const before = AuditService.snapshot(issue);
+        await ResolutionService.confirm(issue, req.user);
+        await AuditService.record(req, 'issue.confirm', { resourceType: 'Issue', before, after: issue });
+
+        res.json(issue);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    Reporter disputes the resolution (reopens the issue for reassignment)
+// @route   POST /api/issues/:id/dispute
+// @access  Private/Citizen
+const disputeResolution = async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const issue = await Issue.findById(req.params.id);
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ message: 'Please explain why the issue is not resolved' });
+        }
+
+        const before = AuditService.snapshot(issue);
+        const { assignment, routing } = await ResolutionService.dispute(issue, req.user, reason.trim());
+        await AuditService.record(req, 'issue.dispute', {
+            resourceType: 'Issue', before, after: issue, metadata: { reason: reason.trim(), assignment: assignment?._id }
+        });
+        if (routing) {
+            await AuditService.record(req, 'assignment.route', {
+                resourceType: 'Assignment',
+                after: routing.assignment,
+                metadata: { routingRule: routing.rule._id, issue: issue._id }
+            });
+        }
+        res.json({
+            issue,
+            reopenedAssignment: assignment ? assignment._id : null,
+            newAssignment: routing ? routing.assignment._id : null
+        });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+};
+
+// @desc    Delete issue (soft: restorable until the purge job removes it)
 // @route   DELETE /api/issues/:id
 // @access  Private/Admin
 const deleteIssue = async (req, res) => {
@@ -256,13 +684,145 @@ const deleteIssue = async (req, res) => {
             return res.status(404).json({ message: 'Issue not found' });
         }
 
-        await issue.deleteOne();
-        res.json({ message: 'Issue removed' });
+        const before = AuditService.snapshot(issue);
+        issue.deletedAt = new Date();
+        issue.deletedBy = req.user._id;
+        await issue.save();
+        const assignmentsSuspended = await PurgeService.suspendAssignments(issue);
+        await AuditService.record(req, 'issue.delete', {
+            resourceType: 'Issue',
+            before,
+            after: issue,
+            metadata: { assignmentsSuspended }
+        });
+
+        res.json({ message: 'Issue removed', purgeAfter: PurgeService.getPurgeDate(issue) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    List soft-deleted issues awaiting purge
+// @route   GET /api/issues/deleted
+// @access  Private/Admin
+const getDeletedIssues = async (req, res) => {
+    try {
+        const { page = 1 } = req.query;
+        const limit = parseLimit(req.query.limit, 10);
+        const query = { deletedAt: { $ne: null } };
+
+        const issues = await Issue.find(query)
+            .select('title category status images deletedAt deletedBy createdAt')
+            .populate('deletedBy', 'name email')
+            .sort({ deletedAt: -1 })
+            .limit(limit)
+            .skip((parseInt(page) - 1) * limit);
+
+        const total = await Issue.countDocuments(query);
+
+        res.json({
+            issues: issues.map(issue => ({ ...issue.toJSON(), purgeAfter: PurgeService.getPurgeDate(issue) })),
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Restore a soft-deleted issue
+// @route   PUT /api/issues/:id/restore
+// @access  Private/Admin
+const restoreIssue = async (req, res) => {
+    try {
+        const issue = await Issue.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+        if (!issue) {
+            return res.status(404).json({ message: 'Deleted issue not found' });
+        }
+
+        const before = AuditService.snapshot(issue);
+        issue.deletedAt = null;
+        issue.deletedBy = undefined;
+        await issue.save();
+        const assignmentsRestored = await PurgeService.restoreAssignments(issue);
+        await AuditService.record(req, 'issue.restore', {
+            resourceType: 'Issue',
+            before,
+            after: issue,
+            metadata: { assignmentsRestored }
+        });
+
+        res.json(issue);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 };
 
+// @desc    Upvote ("me too") an issue
+// @route   POST /api/issues/:id/upvote
+// @access  Private/Citizen
+const upvoteIssue = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.id);
+
+        if (!issue || !canSeeIssue(issue, req.user)) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        if (issue.reportedBy.toString() === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot upvote an issue you reported' });
+        }
+
+        if (issue.status === 'closed') {
+            return res.status(400).json({ message: 'Cannot upvote a closed issue' });
+        }
+
+        const updatedIssue = await UpvoteService.addUpvote(issue._id, req.user._id);
+        if (!updatedIssue) {
+            return res.status(409).json({ message: 'You have already upvoted this issue' });
+        }
+
+        const priorityRaised = await UpvoteService.applyPriorityRules(updatedIssue);
+
+        res.json({
+            upvoteCount: updatedIssue.upvoteCount,
+            priority: updatedIssue.priority,
+            priorityRaised,
+            hasUpvoted: true
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    Withdraw upvote
+// @route   DELETE /api/issues/:id/upvote
+// @access  Private/Citizen
+const removeUpvote = async (req, res) => {
+    try {
+        const issue = await Issue.findById(req.params.id);
+
+        if (!issue || !canSeeIssue(issue, req.user)) {
+            return res.status(404).json({ message: 'Issue not found' });
+        }
+
+        const updatedIssue = await UpvoteService.removeUpvote(issue._id, req.user._id);
+        if (!updatedIssue) {
+            return res.status(409).json({ message: 'You have not upvoted this issue' });
+        }
+
+        res.json({
+            upvoteCount: updatedIssue.upvoteCount,
+            priority: updatedIssue.priority,
+            hasUpvoted: false
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
 // @desc    Find issues within radius
 // @route   GET /api/issues/nearby
 // @access  Private
@@ -274,7 +834,7 @@ const getIssuesNearby = async (req, res) => {
             return res.status(400).json({ message: 'Latitude and longitude are required' });
         }
 
-        const issues = await Issue.find({
+        const issues = await Issue.find(scopeToVisible({
             location: {
                 $near: {
                     $geometry: {
@@ -284,7 +844,7 @@ const getIssuesNearby = async (req, res) => {
                     $maxDistance: parseInt(radius)
                 }
             }
-        }).populate('reportedBy', 'name email');
+        }, req.user)).populate('reportedBy', 'name email');
 
         res.json(issues);
     } catch (error) {
@@ -296,8 +856,20 @@ module.exports = {
     createIssue,
     getIssues,
     getIssueById,
+    getIssueEvidence,
     updateIssue,
+    confirmResolution,
+    disputeResolution,
     deleteIssue,
+    getDeletedIssues,
+    restoreIssue,
     getIssuesNearby,
-    getAISuggestions
+    getAISuggestions,
+    checkDuplicates,
+    mergeIssue,
+    upvoteIssue,
+    removeUpvote,
+    getIssuesGeoJson,
+    getIssueClusters,
+    getIssueHeatmap
 };
@@ -1,24 +1,43 @@
 const Notification = require('../models/Notification');
 const NotificationService = require('../services/notificationService');
+const { parseLimit, isCursorMode, resolveSort, paginateByKeyset } = require('../utils/pagination');
+
+// Sort options exposed to clients for notification listings
+const NOTIFICATION_SORTS = {
+    createdAt: { field: 'createdAt', direction: -1 }
+};
 
 // @desc    Get user notifications
 // @route   GET /api/notifications
 // @access  Private
 const getNotifications = async (req, res) => {
     try {
-        const { limit = 20, page = 1, status } = req.query;
+        const { page = 1, status, sort, order, cursor } = req.query;
+        const limit = parseLimit(req.query.limit, 20);
+        const sortSpec = resolveSort(NOTIFICATION_SORTS, sort, order, 'createdAt');
         const query = { recipient: req.user._id };
 
         if (status === 'unread') query.isRead = false;
         if (status === 'read') query.isRead = true;
 
+        const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+
+        if (isCursorMode(req.query)) {
+            const { items, next, prev } = await paginateByKeyset(Notification, query, {
+                field: sortSpec.field,
+                direction: sortSpec.direction,
+                cursor,
+                limit
+            });
+            return res.json({ notifications: items, unreadCount, next, prev, limit, sort: sortSpec.key });
+        }
+
         const notifications = await Notification.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip((parseInt(page) - 1) * parseInt(limit));
+            .sort({ [sortSpec.field]: sortSpec.direction, _id: sortSpec.direction })
+            .limit(limit)
+            .skip((parseInt(page) - 1) * limit);
 
         const total = await Notification.countDocuments(query);
-        const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
 
         res.json({
             notifications,
@@ -28,7 +47,7 @@ const getNotifications = async (req, res) => {
             total
         });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(error.statusCode || 500).json({ message: error.message });
     }
 };
 
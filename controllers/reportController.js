@@ -4,6 +4,11 @@ const Assignment = require('../models/Assignment');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const PDFDocument = require('pdfkit');
+const SlaService = require('../services/slaService');
+const DepartmentService = require('../services/departmentService');
+const ResolutionService = require('../services/resolutionService');
+const AuditService = require('../services/auditService');
+const AccessPolicy = require('../services/accessPolicy');
 
 
 // @desc    Create report config
@@ -16,6 +21,7 @@ const createReport = async (req, res) => {
             createdBy: req.user._id
         });
         const savedReport = await report.save();
+        await AuditService.record(req, 'report.create', { resourceType: 'Report', after: savedReport });
         res.status(201).json(savedReport);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -52,12 +58,16 @@ const getReportById = async (req, res) => {
 // @access  Private/Admin
 const updateReport = async (req, res) => {
     try {
+        const before = await Report.findById(req.params.id).lean();
+        if (!before) return res.status(404).json({ message: 'Report not found' });
+
         const report = await Report.findByIdAndUpdate(
             req.params.id,
             req.body,
             { new: true, runValidators: true }
         );
         if (!report) return res.status(404).json({ message: 'Report not found' });
+        await AuditService.record(req, 'report.update', { resourceType: 'Report', before, after: report });
         res.json(report);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -71,6 +81,7 @@ const deleteReport = async (req, res) => {
     try {
         const report = await Report.findByIdAndDelete(req.params.id);
         if (!report) return res.status(404).json({ message: 'Report not found' });
+        await AuditService.record(req, 'report.delete', { resourceType: 'Report', before: report });
         res.json({ message: 'Report config deleted' });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -84,21 +95,37 @@ const toggleReportActive = async (req, res) => {
     try {
         const report = await Report.findById(req.params.id);
         if (!report) return res.status(404).json({ message: 'Report not found' });
+        const before = AuditService.snapshot(report);
         report.isActive = !report.isActive;
         await report.save();
+        await AuditService.record(req, 'report.toggle', { resourceType: 'Report', before, after: report });
         res.json(report);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 };
 
+const EARTH_RADIUS_METERS = 6378100;
+const DEFAULT_REPORT_RADIUS = 5000; // meters
+const GEO_RING_COUNT = 5;
+const PRIORITY_ORDER = ['urgent', 'high', 'medium', 'low'];
+
+const hasLocationFilter = (filters) => (
+    typeof filters.location?.lat === 'number' && typeof filters.location?.lng === 'number'
+);
+
+const getLocationRadius = (filters) => filters.location?.radius || DEFAULT_REPORT_RADIUS;
+
 // Helper: Build match stage from filters
-const buildMatchStage = (filters) => {
+// Location is expressed as $geoWithin so the same match works in $match and find();
+// GEO_ANALYSIS skips it because its $geoNear stage already applies the radius.
+const buildMatchStage = (filters, { includeLocation = true } = {}) => {
     const match = {};
     if (filters.categories?.length) match.category = { $in: filters.categories };
     if (filters.priorities?.length) match.priority = { $in: filters.priorities };
     if (filters.statuses?.length) match.status = { $in: filters.statuses };
     if (filters.officers?.length) match.assignedTo = { $in: filters.officers.map(id => new mongoose.Types.ObjectId(id)) };
+    if (filters.zones?.length) match.zones = { $in: filters.zones.map(id => new mongoose.Types.ObjectId(id)) };
 
     if (filters.startDate || filters.endDate) {
         match.createdAt = {};
@@ -106,10 +133,243 @@ const buildMatchStage = (filters) => {
         if (filters.endDate) match.createdAt.$lte = new Date(filters.endDate);
     }
 
-    // Geo matches would typically use $near, but aggregation uses $geoNear (must be first stage)
+    if (includeLocation && hasLocationFilter(filters)) {
+        const { lat, lng } = filters.location;
+        match.location = {
+            $geoWithin: {
+                $centerSphere: [[lng, lat], getLocationRadius(filters) / EARTH_RADIUS_METERS]
+            }
+        };
+    }
+
     return match;
 };
 
+// Helper: Build aggregation pipeline for a report type (null if the type is unknown)
+const buildReportPipeline = (reportType, filters) => {
+    const matchStage = buildMatchStage(filters);
+
+    switch (reportType) {
+        case 'ISSUE_SUMMARY':
+            return [
+                { $match: matchStage },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ];
+
+        case 'CATEGORY_ANALYSIS':
+            return [
+                { $match: matchStage },
+                { $group: { _id: '$category', count: { $sum: 1 } } },
+                { $sort: { count: -1 } }
+            ];
+
+        case 'OFFICER_PERFORMANCE':
+            return [
+                { $match: { assignedTo: { $exists: true }, ...matchStage } },
+                {
+                    $group: {
+                        _id: '$assignedTo',
+                        total: { $sum: 1 },
+                        // Closed issues count as resolved when they went through resolution
+                        resolved: { $sum: { $cond: [{ $and: [{ $in: ['$status', ['resolved', 'closed']] }, { $gt: ['$resolutionTime', null] }] }, 1, 0] } },
+                        avgResolutionTime: { $avg: '$resolutionTime' }
+                    }
+                },
+                { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'officer' } },
+                { $unwind: '$officer' },
+                {
+                    $lookup: {
+                        from: 'assignments',
+                        let: { officerId: '$_id' },
+                        pipeline: [
+                            { $match: { $expr: { $and: [{ $eq: ['$assignedTo', '$$officerId'] }, { $eq: ['$status', 'completed'] }] } } },
+                            { $group: { _id: null, completed: { $sum: 1 }, reopened: { $sum: { $cond: ['$reopened', 1, 0] } } } }
+                        ],
+                        as: 'reopens'
+                    }
+                },
+                {
+                    $addFields: {
+                        reopened: { $ifNull: [{ $arrayElemAt: ['$reopens.reopened', 0] }, 0] },
+                        reopenRate: {
+                            $cond: [
+                                { $gt: [{ $ifNull: [{ $arrayElemAt: ['$reopens.completed', 0] }, 0] }, 0] },
+                                { $multiply: [{ $divide: [{ $arrayElemAt: ['$reopens.reopened', 0] }, { $arrayElemAt: ['$reopens.completed', 0] }] }, 100] },
+                                0
+                            ]
+                        }
+                    }
+                },
+                { $project: { 'officer.password': 0, 'officer.email': 0, reopens: 0 } }
+            ];
+
+        case 'MONTHLY_TRENDS':
+            return [
+                { $match: matchStage },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+                        count: { $sum: 1 }
+                    }
+                },
+                { $sort: { '_id': 1 } }
+            ];
+
+        case 'GEO_ANALYSIS': {
+            const { lat, lng } = filters.location;
+            const radius = getLocationRadius(filters);
+            const ringWidth = radius / GEO_RING_COUNT;
+
+            return [
+                // $geoNear must be the first stage of the pipeline
+                {
+                    $geoNear: {
+                        near: { type: 'Point', coordinates: [lng, lat] },
+                        key: 'location',
+                        distanceField: 'distance',
+                        maxDistance: radius,
+                        query: buildMatchStage(filters, { includeLocation: false }),
+                        spherical: true
+                    }
+                },
+                {
+                    $addFields: {
+                        ring: { $min: [{ $floor: { $divide: ['$distance', ringWidth] } }, GEO_RING_COUNT - 1] }
+                    }
+                },
+                {
+                    $group: {
+                        _id: { ring: '$ring', category: '$category' },
+                        count: { $sum: 1 }
+                    }
+                },
+                { $sort: { count: -1 } },
+                {
+                    $group: {
+                        _id: '$_id.ring',
+                        count: { $sum: '$count' },
+                        categories: { $push: { category: '$_id.category', count: '$count' } }
+                    }
+                },
+                { $sort: { _id: 1 } },
+                {
+                    $project: {
+                        _id: {
+                            $concat: [
+                                { $toString: { $round: [{ $multiply: ['$_id', ringWidth] }, 0] } },
+                                '-',
+                                { $toString: { $round: [{ $multiply: [{ $add: ['$_id', 1] }, ringWidth] }, 0] } },
+                                'm'
+                            ]
+                        },
+                        ring: '$_id',
+                        minDistance: { $multiply: ['$_id', ringWidth] },
+                        maxDistance: { $multiply: [{ $add: ['$_id', 1] }, ringWidth] },
+                        count: 1,
+                        categories: 1
+                    }
+                }
+            ];
+        }
+
+        case 'PRIORITY_BREAKDOWN':
+            return [
+                { $match: matchStage },
+                {
+                    $group: {
+                        _id: { priority: '$priority', status: '$status' },
+                        count: { $sum: 1 },
+                        resolutionTotal: { $sum: { $ifNull: ['$resolutionTime', 0] } },
+                        resolutionCount: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$resolutionTime', null] }, null] }, 0, 1] } }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$_id.priority',
+                        count: { $sum: '$count' },
+                        resolutionTotal: { $sum: '$resolutionTotal' },
+                        resolutionCount: { $sum: '$resolutionCount' },
+                        statuses: {
+                            $push: {
+                                status: '$_id.status',
+                                count: '$count',
+                                avgResolutionTime: {
+                                    $cond: [
+                                        { $gt: ['$resolutionCount', 0] },
+                                        { $divide: ['$resolutionTotal', '$resolutionCount'] },
+                                        null
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                },
+                {
+                    $project: {
+                        count: 1,
+                        statuses: 1,
+                        avgResolutionTime: {
+                            $cond: [
+                                { $gt: ['$resolutionCount', 0] },
+                                { $divide: ['$resolutionTotal', '$resolutionCount'] },
+                                null
+                            ]
+                        },
+                        order: { $indexOfArray: [PRIORITY_ORDER, '$_id'] }
+                    }
+                },
+                { $sort: { order: 1 } },
+                { $project: { order: 0 } }
+            ];
+
+        case 'SLA_COMPLIANCE':
+            return [
+                { $match: { ...matchStage, 'sla.state': { $in: ['on_track', 'at_risk', 'breached', 'met'] } } },
+                {
+                    $group: {
+                        _id: { category: '$category', priority: '$priority' },
+                        total: { $sum: 1 },
+                        met: { $sum: { $cond: [{ $eq: ['$sla.state', 'met'] }, 1, 0] } },
+                        breached: { $sum: { $cond: [{ $eq: ['$sla.state', 'breached'] }, 1, 0] } },
+                        atRisk: { $sum: { $cond: [{ $eq: ['$sla.state', 'at_risk'] }, 1, 0] } },
+                        onTrack: { $sum: { $cond: [{ $eq: ['$sla.state', 'on_track'] }, 1, 0] } }
+                    }
+                },
+                {
+                    $project: {
+                        _id: { $concat: ['$_id.category', ' / ', '$_id.priority'] },
+                        category: '$_id.category',
+                        priority: '$_id.priority',
+                        total: 1,
+                        met: 1,
+                        breached: 1,
+                        atRisk: 1,
+                        onTrack: 1,
+                        complianceRate: {
+                            $cond: [
+                                { $gt: [{ $add: ['$met', '$breached'] }, 0] },
+                                { $multiply: [{ $divide: ['$met', { $add: ['$met', '$breached'] }] }, 100] },
+                                null
+                            ]
+                        }
+                    }
+                },
+                { $sort: { complianceRate: 1, total: -1 } }
+            ];
+
+        default:
+            return null;
+    }
+};
+
+// Helper: Validate that a report's filters can drive its report type
+const validateReportFilters = (reportType, filters) => {
+    if (reportType === 'GEO_ANALYSIS' && !hasLocationFilter(filters)) {
+        return 'GEO_ANALYSIS reports require a location filter with lat and lng';
+    }
+    return null;
+};
+
 // @desc    Execute report
 // @route   GET /api/reports/:id/run
 // @access  Private/Admin, Officer
@@ -125,59 +385,16 @@ const runReport = async (req, res) => {
         }
 
         const { reportType, filters } = report;
-        const matchStage = buildMatchStage(filters);
-        let results = [];
-
-        switch (reportType) {
-            case 'ISSUE_SUMMARY':
-                results = await Issue.aggregate([
-                    { $match: matchStage },
-                    { $group: { _id: '$status', count: { $sum: 1 } } }
-                ]);
-                break;
-
-            case 'CATEGORY_ANALYSIS':
-                results = await Issue.aggregate([
-                    { $match: matchStage },
-                    { $group: { _id: '$category', count: { $sum: 1 } } },
-                    { $sort: { count: -1 } }
-                ]);
-                break;
-
-            case 'OFFICER_PERFORMANCE':
-                results = await Issue.aggregate([
-                    { $match: { assignedTo: { $exists: true }, ...matchStage } },
-                    {
-                        $group: {
-                            _id: '$assignedTo',
-                            total: { $sum: 1 },
-                            resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
-                            avgResolutionTime: { $avg: '$resolutionTime' }
-                        }
-                    },
-                    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'officer' } },
-                    { $unwind: '$officer' },
-                    { $project: { 'officer.password': 0, 'officer.email': 0 } }
-                ]);
-                break;
-
-            case 'MONTHLY_TRENDS':
-                results = await Issue.aggregate([
-                    { $match: matchStage },
-                    {
-                        $group: {
-                            _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
-                            count: { $sum: 1 }
-                        }
-                    },
-                    { $sort: { '_id': 1 } }
-                ]);
-                break;
+        const filterError = validateReportFilters(reportType, filters);
+        if (filterError) return res.status(400).json({ message: filterError });
 
-            default:
-                return res.status(400).json({ message: 'Execution logic not implemented for this report type' });
+        const pipeline = buildReportPipeline(reportType, filters);
+        if (!pipeline) {
+            return res.status(400).json({ message: 'Execution logic not implemented for this report type' });
         }
 
+        const results = await Issue.aggregate(pipeline);
+
         // Update report execution metadata & cache
         report.lastExecuted = new Date();
         report.executionCount += 1;
@@ -193,6 +410,25 @@ const runReport = async (req, res) => {
     }
 };
 
+// Helper: Issue counts per zone (issues outside every zone are grouped under null).
+// An issue counts once for its ward and once for its district.
+const getZoneBreakdown = (match = {}) => Issue.aggregate([
+    { $match: match },
+    { $unwind: { path: '$zones', preserveNullAndEmptyArrays: true } },
+    {
+        $group: {
+            _id: '$zones',
+            count: { $sum: 1 },
+            open: { $sum: { $cond: [{ $in: ['$status', ['open', 'assigned', 'in-progress']] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0] } }
+        }
+    },
+    { $lookup: { from: 'zones', localField: '_id', foreignField: '_id', as: 'zone' } },
+    { $unwind: { path: '$zone', preserveNullAndEmptyArrays: true } },
+    { $project: { count: 1, open: 1, resolved: 1, name: '$zone.name', code: '$zone.code', type: '$zone.type' } },
+    { $sort: { count: -1 } }
+]);
+
 // @desc    Admin Dashboard Overview
 // @route   GET /api/reports/dashboard/admin
 // @access  Private/Admin
@@ -209,7 +445,7 @@ const getAdminDashboard = async (req, res) => {
         ]);
 
         const resTimeStats = await Issue.aggregate([
-            { $match: { status: 'resolved', resolutionTime: { $ne: null } } },
+            { $match: { status: { $in: ['resolved', 'closed'] }, resolutionTime: { $ne: null } } },
             { $group: { _id: null, avg: { $avg: '$resolutionTime' } } }
         ]);
 
@@ -224,12 +460,17 @@ const getAdminDashboard = async (req, res) => {
             { $limit: 6 }
         ]);
 
+        const slaCompliance = await SlaService.getComplianceSummary();
+        const zoneStats = await getZoneBreakdown();
+
         res.json({
             totalIssues,
             statusStats,
             categoryStats,
             avgResolutionTime: resTimeStats[0]?.avg || 0,
-            monthlyTrends
+            monthlyTrends,
+            slaCompliance,
+            zoneStats
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -242,6 +483,16 @@ const getAdminDashboard = async (req, res) => {
 const getOfficerDashboard = async (req, res) => {
     try {
         const officerId = new mongoose.Types.ObjectId(req.params.id);
+        const officerDepartment = await DepartmentService.getOfficerDepartment(officerId);
+
+        // Officers see their own dashboard; department heads also see their members'
+        const denied = await AccessPolicy.check(req.user, 'dashboard:officer', {
+            userId: officerId,
+            department: officerDepartment
+        });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
 
         const activeAssignments = await Assignment.countDocuments({ assignedTo: officerId, status: { $in: ['active', 'accepted'] } });
         const completedAssignments = await Assignment.countDocuments({ assignedTo: officerId, status: 'completed' });
@@ -252,7 +503,7 @@ const getOfficerDashboard = async (req, res) => {
                 $group: {
                     _id: null,
                     total: { $sum: 1 },
-                    resolvedCount: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+                    resolvedCount: { $sum: { $cond: [{ $and: [{ $in: ['$status', ['resolved', 'closed']] }, { $gt: ['$resolutionTime', null] }] }, 1, 0] } },
                     avgResTime: { $avg: '$resolutionTime' }
                 }
             }
@@ -262,6 +513,26 @@ const getOfficerDashboard = async (req, res) => {
         const Feedback = require('../models/Feedback');
         const feedbackStats = await Feedback.getOfficerAverageRating(officerId);
 
+        const zoneStats = await getZoneBreakdown({ assignedTo: officerId });
+        const reopenStats = await ResolutionService.getReopenStats(officerId);
+
+        // Backlog in the categories the officer's department owns
+        let department = null;
+        if (officerDepartment) {
+            const backlog = await Issue.aggregate([
+                { $match: { category: { $in: officerDepartment.categories }, status: { $in: ['open', 'assigned', 'in-progress'] } } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]);
+            department = {
+                _id: officerDepartment._id,
+                name: officerDepartment.name,
+                categories: officerDepartment.categories,
+                isHead: Boolean(officerDepartment.head?.equals(officerId)),
+                memberCount: officerDepartment.members.length,
+                backlog: backlog.reduce((acc, s) => ({ ...acc, [s._id]: s.count }), {})
+            };
+        }
+
         res.json({
             activeAssignments,
             completedAssignments,
@@ -269,7 +540,11 @@ const getOfficerDashboard = async (req, res) => {
             resolutionRate: issueStats[0]?.total ? (issueStats[0]?.resolvedCount / issueStats[0]?.total) * 100 : 0,
             avgResolutionTime: issueStats[0]?.avgResTime || 0,
             avgRating: feedbackStats.avgRating || 0,
-            feedbackCount: feedbackStats.count || 0
+            feedbackCount: feedbackStats.count || 0,
+            reopenedAssignments: reopenStats.reopened,
+            reopenRate: reopenStats.reopenRate,
+            zoneStats,
+            department
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -283,6 +558,12 @@ const getCitizenDashboard = async (req, res) => {
     try {
         const citizenId = new mongoose.Types.ObjectId(req.params.id);
 
+        // Citizens only see their own dashboard
+        const denied = await AccessPolicy.check(req.user, 'dashboard:citizen', { userId: citizenId });
+        if (denied) {
+            return res.status(denied.statusCode).json({ message: denied.message });
+        }
+
         const totalReported = await Issue.countDocuments({ reportedBy: citizenId });
         const statusStats = await Issue.aggregate([
             { $match: { reportedBy: citizenId } },
@@ -291,7 +572,7 @@ const getCitizenDashboard = async (req, res) => {
 
         // Average resolution time for this citizen's issues
         const resTimeStats = await Issue.aggregate([
-            { $match: { reportedBy: citizenId, status: 'resolved', resolutionTime: { $ne: null } } },
+            { $match: { reportedBy: citizenId, status: { $in: ['resolved', 'closed'] }, resolutionTime: { $ne: null } } },
             { $group: { _id: null, avg: { $avg: '$resolutionTime' } } }
         ]);
 
@@ -305,6 +586,40 @@ const getCitizenDashboard = async (req, res) => {
     }
 };
 
+// Helper: Flatten cross-tabulated report rows into printable label/value lines
+const formatHours = (hours) => (hours === null || hours === undefined ? 'N/A' : `${Number(hours).toFixed(1)}h`);
+
+const getBreakdownLines = (reportType, item) => {
+    if (reportType === 'GEO_ANALYSIS') {
+        return (item.categories || []).map(c => ({
+            label: (c.category || 'unspecified').toUpperCase(),
+            value: c.count.toString()
+        }));
+    }
+
+    if (reportType === 'PRIORITY_BREAKDOWN') {
+        return [
+            { label: 'AVG RESOLUTION TIME', value: formatHours(item.avgResolutionTime) },
+            ...(item.statuses || []).map(s => ({
+                label: (s.status || 'unspecified').toUpperCase(),
+                value: `${s.count}  (avg ${formatHours(s.avgResolutionTime)})`
+            }))
+        ];
+    }
+
+    if (reportType === 'SLA_COMPLIANCE') {
+        return [
+            { label: 'COMPLIANCE RATE', value: item.complianceRate === null ? 'N/A' : `${Number(item.complianceRate).toFixed(1)}%` },
+            { label: 'MET', value: item.met.toString() },
+            { label: 'BREACHED', value: item.breached.toString() },
+            { label: 'AT RISK', value: item.atRisk.toString() },
+            { label: 'ON TRACK', value: item.onTrack.toString() }
+        ];
+    }
+
+    return [];
+};
+
 // @desc    Download report as PDF
 // @route   GET /api/reports/:id/download
 // @access  Private/Admin, Officer
@@ -319,52 +634,14 @@ const downloadReportPdf = async (req, res) => {
         const { reportType, filters } = report;
         const matchStage = buildMatchStage(filters);
 
+        const filterError = validateReportFilters(reportType, filters);
+        if (filterError) return res.status(400).json({ message: filterError });
+
         if (report.cachedData?.data && report.cachedData.expiresAt > new Date()) {
             results = report.cachedData.data;
         } else {
-            switch (reportType) {
-                case 'ISSUE_SUMMARY':
-                    results = await Issue.aggregate([
-                        { $match: matchStage },
-                        { $group: { _id: '$status', count: { $sum: 1 } } }
-                    ]);
-                    break;
-                case 'CATEGORY_ANALYSIS':
-                    results = await Issue.aggregate([
-                        { $match: matchStage },
-                        { $group: { _id: '$category', count: { $sum: 1 } } },
-                        { $sort: { count: -1 } }
-                    ]);
-                    break;
-                case 'OFFICER_PERFORMANCE':
-                    results = await Issue.aggregate([
-                        { $match: { assignedTo: { $exists: true }, ...matchStage } },
-                        {
-                            $group: {
-                                _id: '$assignedTo',
-                                total: { $sum: 1 },
-                                resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
-                                avgResolutionTime: { $avg: '$resolutionTime' }
-                            }
-                        },
-                        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'officer' } },
-                        { $unwind: '$officer' },
-                        { $project: { 'officer.password': 0, 'officer.email': 0 } }
-                    ]);
-                    break;
-                case 'MONTHLY_TRENDS':
-                    results = await Issue.aggregate([
-                        { $match: matchStage },
-                        {
-                            $group: {
-                                _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
-                                count: { $sum: 1 }
-                            }
-                        },
-                        { $sort: { '_id': 1 } }
-                    ]);
-                    break;
-            }
+            const pipeline = buildReportPipeline(reportType, filters);
+            if (pipeline) results = await Issue.aggregate(pipeline);
         }
 
         detailedIssues = await Issue.find(matchStage)
@@ -431,6 +708,19 @@ const downloadReportPdf = async (req, res) => {
                 doc.fillColor(colors.accent).text(count.toString(), 500, currentY + 10, { align: 'right', width: 30 });
 
                 currentY += 35;
+
+                // Per-row breakdown for cross-tabulated report types
+                const breakdown = getBreakdownLines(reportType, item);
+                breakdown.forEach((line) => {
+                    if (currentY > 720) {
+                        doc.addPage();
+                        currentY = 50;
+                    }
+                    doc.fillColor(colors.secondary).fontSize(9).font('Helvetica').text(line.label, 80, currentY);
+                    doc.text(line.value, 345, currentY, { align: 'right', width: 185 });
+                    currentY += 15;
+                });
+                if (breakdown.length) currentY += 5;
                 if (currentY > 700) {
                     doc.addPage();
                     currentY = 50;
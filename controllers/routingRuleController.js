@@ -0,0 +1,178 @@
+const RoutingRule = require('../models/RoutingRule');
+const Issue = require('../models/Issue');
+const Assignment = require('../models/Assignment');
+const RoutingService = require('../services/routingService');
+const AuditService = require('../services/auditService');
+
+// @desc    Create routing rule
+// @route   POST /api/routing-rules
+// @access  Private/Admin
+const createRoutingRule = async (req, res) => {
+    try {
+        const { name, description, isActive, order, conditions, target } = req.body;
+
+        const rule = await RoutingRule.create({
+            name,
+            description,
+            isActive,
+            order,
+            conditions,
+            target,
+            createdBy: req.user._id
+        });
+
+        await AuditService.record(req, 'routingRule.create', { resourceType: 'RoutingRule', after: rule });
+
+        res.status(201).json(rule);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    List routing rules in evaluation order
+// @route   GET /api/routing-rules
+// @access  Private/Admin
+const getRoutingRules = async (req, res) => {
+    try {
+        const { active } = req.query;
+        const query = {};
+
+        if (active !== undefined) query.isActive = active === 'true';
+
+        const rules = await RoutingRule.find(query)
+            .populate('target.officer', 'name email')
+            .populate('target.pool', 'name email')
+            .populate('conditions.zones', 'name code')
+            .sort({ order: 1, createdAt: 1 });
+        res.json(rules);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get routing rule with the assignments it made
+// @route   GET /api/routing-rules/:id
+// @access  Private/Admin
+const getRoutingRuleById = async (req, res) => {
+    try {
+        const rule = await RoutingRule.findById(req.params.id)
+            .populate('target.officer', 'name email')
+            .populate('target.pool', 'name email')
+            .populate('conditions.zones', 'name code');
+        if (!rule) return res.status(404).json({ message: 'Routing rule not found' });
+
+        const recentAssignments = await Assignment.find({ routingRule: rule._id })
+            .populate('issue', 'title category priority status')
+            .populate('assignedTo', 'name')
+            .sort({ createdAt: -1 })
+            .limit(20);
+
+        res.json({ rule, recentAssignments });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Update routing rule
+// @route   PUT /api/routing-rules/:id
+// @access  Private/Admin
+const updateRoutingRule = async (req, res) => {
+    try {
+        const rule = await RoutingRule.findById(req.params.id);
+        if (!rule) return res.status(404).json({ message: 'Routing rule not found' });
+        const before = AuditService.snapshot(rule);
+
+        const { name, description, isActive, order, conditions, target } = req.body;
+        if (name) rule.name = name;
+        if (description !== undefined) rule.description = description;
+        if (isActive !== undefined) rule.isActive = isActive;
+        if (order !== undefined) rule.order = order;
+        if (conditions) rule.conditions = conditions;
+        if (target) rule.target = target;
+
+        await rule.save();
+        await AuditService.record(req, 'routingRule.update', { resourceType: 'RoutingRule', before, after: rule });
+        res.json(rule);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    Enable/disable routing rule
+// @route   PATCH /api/routing-rules/:id/toggle
+// @access  Private/Admin
+const toggleRoutingRule = async (req, res) => {
+    try {
+        const rule = await RoutingRule.findById(req.params.id);
+        if (!rule) return res.status(404).json({ message: 'Routing rule not found' });
+        const before = AuditService.snapshot(rule);
+
+        rule.isActive = req.body.isActive !== undefined ? Boolean(req.body.isActive) : !rule.isActive;
+        await rule.save();
+        await AuditService.record(req, 'routingRule.toggle', { resourceType: 'RoutingRule', before, after: rule });
+
+        res.json({ message: `Routing rule ${rule.isActive ? 'enabled' : 'disabled'}`, rule });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    Delete routing rule (assignments keep the reference)
+// @route   DELETE /api/routing-rules/:id
+// @access  Private/Admin
+const deleteRoutingRule = async (req, res) => {
+    try {
+        const rule = await RoutingRule.findByIdAndDelete(req.params.id);
+        if (!rule) return res.status(404).json({ message: 'Routing rule not found' });
+        await AuditService.record(req, 'routingRule.delete', { resourceType: 'RoutingRule', before: rule });
+        res.json({ message: 'Routing rule removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Evaluate rules against an issue without assigning it
+// @route   POST /api/routing-rules/dry-run
+// @access  Private/Admin
+const dryRunRoutingRules = async (req, res) => {
+    try {
+        const { issueId, ruleId, at } = req.body;
+
+        if (!issueId) {
+            return res.status(400).json({ message: 'issueId is required' });
+        }
+
+        const evaluatedAt = at ? new Date(at) : new Date();
+        if (isNaN(evaluatedAt.getTime())) {
+            return res.status(400).json({ message: 'Invalid evaluation time' });
+        }
+
+        const issue = await Issue.findById(issueId);
+        if (!issue) return res.status(404).json({ message: 'Issue not found' });
+
+        const result = await RoutingService.dryRun(issue, { at: evaluatedAt, ruleId });
+        res.json({
+            issue: {
+                _id: issue._id,
+                title: issue.title,
+                category: issue.category,
+                priority: issue.priority,
+                zones: issue.zones,
+                status: issue.status
+            },
+            ...result
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    createRoutingRule,
+    getRoutingRules,
+    getRoutingRuleById,
+    updateRoutingRule,
+    toggleRoutingRule,
+    deleteRoutingRule,
+    dryRunRoutingRules
+};
@@ -0,0 +1,96 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const AuditService = require('../services/auditService');
+
+// @desc    Create SLA policy
+// @route   POST /api/sla-policies
+// @access  Private/Admin
+const createSlaPolicy = async (req, res) => {
+    try {
+        const { category, priority, responseHours, resolutionHours, isActive } = req.body;
+
+        const policy = await SlaPolicy.create({
+            category,
+            priority,
+            responseHours,
+            resolutionHours,
+            isActive,
+            createdBy: req.user._id
+        });
+
+        await AuditService.record(req, 'slaPolicy.create', { resourceType: 'SlaPolicy', after: policy });
+
+        res.status(201).json(policy);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A policy for this category and priority already exists' });
+        }
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    List SLA policies
+// @route   GET /api/sla-policies
+// @access  Private/Admin
+const getSlaPolicies = async (req, res) => {
+    try {
+        const { category, priority } = req.query;
+        const query = {};
+
+        if (category) query.category = category;
+        if (priority) query.priority = priority;
+
+        const policies = await SlaPolicy.find(query).sort({ category: 1, priority: 1 });
+        res.json(policies);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Update SLA policy (applies to issues created or reprioritized afterwards)
+// @route   PUT /api/sla-policies/:id
+// @access  Private/Admin
+const updateSlaPolicy = async (req, res) => {
+    try {
+        const { responseHours, resolutionHours, isActive } = req.body;
+        const updates = {};
+
+        if (responseHours !== undefined) updates.responseHours = responseHours;
+        if (resolutionHours !== undefined) updates.resolutionHours = resolutionHours;
+        if (isActive !== undefined) updates.isActive = isActive;
+
+        const before = await SlaPolicy.findById(req.params.id).lean();
+        if (!before) return res.status(404).json({ message: 'SLA policy not found' });
+
+        const policy = await SlaPolicy.findByIdAndUpdate(
+            req.params.id,
+            updates,
+            { new: true, runValidators: true }
+        );
+        if (!policy) return res.status(404).json({ message: 'SLA policy not found' });
+        await AuditService.record(req, 'slaPolicy.update', { resourceType: 'SlaPolicy', before, after: policy });
+        res.json(policy);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    Delete SLA policy
+// @route   DELETE /api/sla-policies/:id
+// @access  Private/Admin
+const deleteSlaPolicy = async (req, res) => {
+    try {
+        const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+        if (!policy) return res.status(404).json({ message: 'SLA policy not found' });
+        await AuditService.record(req, 'slaPolicy.delete', { resourceType: 'SlaPolicy', before: policy });
+        res.json({ message: 'SLA policy removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    createSlaPolicy,
+    getSlaPolicies,
+    updateSlaPolicy,
+    deleteSlaPolicy
+};
@@ -1,4 +1,20 @@
 const User = require('../models/User');
+const AuditService = require('../services/auditService');
+const SessionService = require('../services/sessionService');
+const UserService = require('../services/userService');
+const LoginProtectionService = require('../services/loginProtectionService');
+const AccountService = require('../services/accountService');
+const { parseLimit, isCursorMode, resolveSort, paginateByKeyset } = require('../utils/pagination');
+
+// Sort options exposed to admins for user listings
+const USER_SORTS = {
+    createdAt: { field: 'createdAt', direction: -1 },
+    name: { field: 'name', direction: 1 },
+    email: { field: 'email', direction: 1 }
+};
+
+// Fields admins see in listings and after account changes
+const ADMIN_USER_FIELDS = 'name email role skills isActive emailVerified deactivatedAt deactivationReason passwordResetRequired lockedUntil lastLoginAt createdAt';
 
 // @desc    Get user profile
 // @route   GET /api/users/me
@@ -13,7 +29,8 @@ const getUserProfile = async (req, res) => {
             email: user.email,
             role: user.role,
             location: user.location,
-            phone: user.phone
+            phone: user.phone,
+            skills: user.skills
         });
     } else {
         res.status(404).json({ msg: 'User not found' });
@@ -24,8 +41,15 @@ const updateUserProfile = async (req, res) => {
     const user = await User.findById(req.user._id);
 
     if (user) {
+        const before = AuditService.snapshot(user);
+        const emailChanged = Boolean(req.body.email) && req.body.email !== user.email;
         user.name = req.body.name || user.name;
         user.email = req.body.email || user.email;
+        // A new address has to be verified again before it counts
+        if (emailChanged) {
+            user.emailVerified = false;
+            user.emailVerifiedAt = undefined;
+        }
         user.location = req.body.location || user.location;
         user.phone = req.body.phone || user.phone;
         user.bio = req.body.bio || user.bio;
@@ -43,11 +67,33 @@ const updateUserProfile = async (req, res) => {
         }
 
         const updatedUser = await user.save();
+        // A new password signs out every other device
+        if (req.body.password) {
+            await SessionService.revokeAll(user._id, 'password_changed', { except: req.authSession?._id });
+        }
+        if (emailChanged) {
+            try {
+                await AccountService.sendVerification(updatedUser);
+            } catch (emailError) {
+                console.error('⚠️ Verification Email Failed:', emailError.message);
+            }
+        }
+        const metadata = {
+            ...(req.body.password && { passwordChanged: true }),
+            ...(emailChanged && { emailChanged: true })
+        };
+        await AuditService.record(req, 'user.update', {
+            resourceType: 'User',
+            before,
+            after: updatedUser,
+            metadata: Object.keys(metadata).length ? metadata : undefined
+        });
 
         res.json({
             _id: updatedUser._id,
             name: updatedUser.name,
             email: updatedUser.email,
+            emailVerified: updatedUser.emailVerified,
             role: updatedUser.role,
             location: updatedUser.location,
             phone: updatedUser.phone,
@@ -60,4 +106,211 @@ const updateUserProfile = async (req, res) => {
     }
 };
 
-module.exports = { getUserProfile, updateUserProfile };
+// @desc    Set an officer's skill tags
+// @route   PUT /api/users/:id/skills
+// @access  Private/Admin
+const updateUserSkills = async (req, res) => {
+    try {
+        const { skills } = req.body;
+        if (!Array.isArray(skills)) {
+            return res.status(400).json({ msg: 'skills must be an array of tags' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        if (user.role !== 'officer') {
+            return res.status(400).json({ msg: 'Skill tags can only be set on officers' });
+        }
+
+        const before = AuditService.snapshot(user);
+        user.skills = [...new Set(skills.map(s => String(s).trim().toLowerCase()).filter(Boolean))];
+        await user.save();
+        await AuditService.record(req, 'user.skills', { resourceType: 'User', before, after: user });
+
+        res.json({ _id: user._id, name: user.name, skills: user.skills });
+    } catch (error) {
+        res.status(500).json({ msg: error.message });
+    }
+};
+
+// @desc    List and search users
+// @route   GET /api/users
+// @access  Private/Admin
+const getUsers = async (req, res) => {
+    try {
+        const { page = 1, sort, order, cursor } = req.query;
+        const limit = parseLimit(req.query.limit, 20);
+        const filter = await UserService.buildUserFilter(req.query);
+        const sortSpec = resolveSort(USER_SORTS, sort, order, 'createdAt');
+        const decorate = q => q.select(ADMIN_USER_FIELDS);
+
+        if (isCursorMode(req.query)) {
+            const { items, next, prev } = await paginateByKeyset(User, filter, {
+                field: sortSpec.field,
+                direction: sortSpec.direction,
+                cursor,
+                limit,
+                decorate
+            });
+            return res.json({ users: items, next, prev, limit, sort: sortSpec.key });
+        }
+
+        const users = await decorate(User.find(filter)
+            .sort({ [sortSpec.field]: sortSpec.direction, _id: sortSpec.direction })
+            .limit(limit)
+            .skip((parseInt(page) - 1) * limit));
+        const total = await User.countDocuments(filter);
+
+        res.json({
+            users,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Activity summary of a user
+// @route   GET /api/users/:id/activity
+// @access  Private/Admin
+const getUserActivity = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+
+        const activity = await UserService.getActivitySummary(user);
+        res.json({ user, activity });
+    } catch (error) {
+        res.status(500).json({ msg: error.message });
+    }
+};
+
+// @desc    Change a user's role (the user is notified)
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+
+        const before = AuditService.snapshot(user);
+        const previousRole = await UserService.changeRole(user, req.body.role, req.user);
+        await AuditService.record(req, 'user.role', {
+            resourceType: 'User',
+            before,
+            after: user,
+            metadata: { from: previousRole, to: user.role }
+        });
+
+        res.json({ _id: user._id, name: user.name, role: user.role, previousRole });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Deactivate an account and end its sessions
+// @route   PUT /api/users/:id/deactivate
+// @access  Private/Admin
+const deactivateUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+
+        const before = AuditService.snapshot(user);
+        const openAssignments = await UserService.setActive(user, false, req.user, req.body?.reason);
+        await AuditService.record(req, 'user.deactivate', { resourceType: 'User', before, after: user });
+
+        res.json({ msg: 'Account deactivated', openAssignments });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Reactivate an account
+// @route   PUT /api/users/:id/reactivate
+// @access  Private/Admin
+const reactivateUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+
+        const before = AuditService.snapshot(user);
+        await UserService.setActive(user, true, req.user);
+        await AuditService.record(req, 'user.reactivate', { resourceType: 'User', before, after: user });
+
+        res.json({ msg: 'Account reactivated' });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Sign the user out everywhere and require a password reset
+// @route   POST /api/users/:id/force-password-reset
+// @access  Private/Admin
+const forcePasswordReset = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+
+        const sessionsRevoked = await UserService.forcePasswordReset(user);
+        await AuditService.record(req, 'user.forcePasswordReset', {
+            resourceType: 'User',
+            resourceId: user._id,
+            metadata: { sessionsRevoked }
+        });
+
+        res.json({ msg: 'Password reset required; a reset link was emailed to the user', sessionsRevoked });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ msg: error.message });
+    }
+};
+
+// @desc    Lift a sign-in lockout
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        if (!LoginProtectionService.isLocked(user)) {
+            return res.status(400).json({ msg: 'Account is not locked' });
+        }
+
+        const before = AuditService.snapshot(user);
+        await LoginProtectionService.unlock(user);
+        await AuditService.record(req, 'user.unlock', { resourceType: 'User', before, after: user });
+
+        res.json({ msg: 'Account unlocked' });
+    } catch (error) {
+        res.status(500).json({ msg: error.message });
+    }
+};
+
+module.exports = {
+    getUserProfile,
+    updateUserProfile,
+    updateUserSkills,
+    getUsers,
+    getUserActivity,
+    updateUserRole,
+    deactivateUser,
+    reactivateUser,
+    forcePasswordReset,
+    unlockUser
+};
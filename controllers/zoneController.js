@@ -0,0 +1,145 @@
+const Zone = require('../models/Zone');
+const ZoneService = require('../services/zoneService');
+const AuditService = require('../services/auditService');
+
+// @desc    Create zone
+// @route   POST /api/zones
+// @access  Private/Admin
+const createZone = async (req, res) => {
+    try {
+        const { name, code, type, geometry } = req.body;
+
+        const zone = await Zone.create({
+            name,
+            code,
+            type,
+            geometry,
+            createdBy: req.user._id
+        });
+        const issuesTagged = await ZoneService.tagIssues(zone);
+        await AuditService.record(req, 'zone.create', { resourceType: 'Zone', after: zone, metadata: { issuesTagged } });
+
+        res.status(201).json({ zone, issuesTagged });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A zone with this code already exists' });
+        }
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    List zones
+// @route   GET /api/zones
+// @access  Private
+const getZones = async (req, res) => {
+    try {
+        const { type, active, includeGeometry } = req.query;
+        const query = {};
+
+        if (type) query.type = type;
+        if (active !== undefined) query.isActive = active === 'true';
+
+        const zones = await Zone.find(query)
+            .select(includeGeometry === 'true' ? '' : '-geometry')
+            .sort({ name: 1 });
+        res.json(zones);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get single zone (with geometry)
+// @route   GET /api/zones/:id
+// @access  Private
+const getZoneById = async (req, res) => {
+    try {
+        const zone = await Zone.findById(req.params.id);
+        if (!zone) return res.status(404).json({ message: 'Zone not found' });
+        res.json(zone);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Update zone
+// @route   PUT /api/zones/:id
+// @access  Private/Admin
+const updateZone = async (req, res) => {
+    try {
+        const zone = await Zone.findById(req.params.id);
+        if (!zone) return res.status(404).json({ message: 'Zone not found' });
+        const before = AuditService.snapshot(zone);
+
+        const { name, code, type, geometry, isActive } = req.body;
+        if (name) zone.name = name;
+        if (code) zone.code = code;
+        if (type) zone.type = type;
+        if (geometry) zone.geometry = geometry;
+        if (isActive !== undefined) zone.isActive = isActive;
+
+        const boundaryChanged = zone.isModified('geometry') || zone.isModified('isActive');
+        await zone.save();
+
+        const issuesTagged = boundaryChanged ? await ZoneService.tagIssues(zone) : undefined;
+        await AuditService.record(req, 'zone.update', { resourceType: 'Zone', before, after: zone, metadata: { issuesTagged } });
+        res.json({ zone, issuesTagged });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+};
+
+// @desc    Delete zone (its issues move to another zone of the same type that contains them, or lose the tag)
+// @route   DELETE /api/zones/:id
+// @access  Private/Admin
+const deleteZone = async (req, res) => {
+    try {
+        const zone = await Zone.findById(req.params.id);
+        if (!zone) return res.status(404).json({ message: 'Zone not found' });
+        const before = AuditService.snapshot(zone);
+
+        zone.isActive = false;
+        await ZoneService.tagIssues(zone);
+        await zone.deleteOne();
+        await AuditService.record(req, 'zone.delete', { resourceType: 'Zone', before });
+
+        res.json({ message: 'Zone removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Bulk import zones from a GeoJSON FeatureCollection (file upload or JSON body)
+// @route   POST /api/zones/import
+// @access  Private/Admin
+const importZones = async (req, res) => {
+    try {
+        let geojson = req.body;
+        if (req.file) {
+            try {
+                geojson = JSON.parse(req.file.buffer.toString('utf8'));
+            } catch (e) {
+                return res.status(400).json({ message: 'Uploaded file is not valid JSON' });
+            }
+        }
+
+        const result = await ZoneService.importFeatureCollection(geojson, req.user._id);
+        if (result.imported.length) {
+            await AuditService.record(req, 'zone.import', {
+                resourceType: 'Zone',
+                metadata: { imported: result.imported.map(zone => zone._id) }
+            });
+        }
+        res.status(result.imported.length ? 201 : 400).json(result);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    createZone,
+    getZones,
+    getZoneById,
+    updateZone,
+    deleteZone,
+    importZones
+};
@@ -0,0 +1,24 @@
+const { schedule } = require('../utils/scheduler');
+const SlaService = require('../services/slaService');
+const DeadlineService = require('../services/deadlineService');
+const ResolutionService = require('../services/resolutionService');
+const PurgeService = require('../services/purgeService');
+
+const MINUTE_MS = 60 * 1000;
+
+// How often each background job runs (minutes)
+const SLA_CHECK_INTERVAL = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5;
+const DEADLINE_CHECK_INTERVAL = parseInt(process.env.DEADLINE_CHECK_INTERVAL_MINUTES) || 15;
+const AUTO_CLOSE_INTERVAL = parseInt(process.env.AUTO_CLOSE_INTERVAL_MINUTES) || 60;
+const PURGE_INTERVAL = parseInt(process.env.PURGE_INTERVAL_MINUTES) || 24 * 60;
+
+const startJobs = () => {
+    schedule('sla-monitor', SLA_CHECK_INTERVAL * MINUTE_MS, () => SlaService.checkBreaches());
+    schedule('assignment-deadlines', DEADLINE_CHECK_INTERVAL * MINUTE_MS, () => DeadlineService.checkDeadlines());
+    schedule('resolution-auto-close', AUTO_CLOSE_INTERVAL * MINUTE_MS, () => ResolutionService.autoCloseExpired());
+    schedule('issue-purge', PURGE_INTERVAL * MINUTE_MS, () => PurgeService.purgeDeletedIssues());
+
+    console.log('⏱️  Background jobs scheduled');
+};
+
+module.exports = { startJobs };
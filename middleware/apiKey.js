@@ -0,0 +1,29 @@
+const protect = require('./auth');
+const { apiKeyLimiter } = require('./rateLimit');
+const ApiKeyService = require('../services/apiKeyService');
+
+/**
+ * Accept an `X-API-Key` header (service accounts) in addition to a user's bearer token.
+ * Without the header this behaves exactly like `protect`.
+ * @param {String} scope - Scope the key must have, e.g. 'issues:create'
+ */
+const allowApiKey = (scope) => async (req, res, next) => {
+    const key = req.get('X-API-Key');
+    if (!key) return protect(req, res, next);
+
+    try {
+        const { apiKey, user } = await ApiKeyService.authenticate(key, req.ip);
+        if (!ApiKeyService.hasScope(apiKey, scope)) {
+            return res.status(403).json({ msg: `API key is missing the '${scope}' scope` });
+        }
+
+        req.user = user;
+        req.apiKey = apiKey;
+        return apiKeyLimiter(req, res, next);
+    } catch (error) {
+        console.log('API key middleware: Authentication failed:', error.message);
+        return res.status(error.statusCode || 401).json({ msg: error.statusCode ? error.message : 'Not authorized, API key failed' });
+    }
+};
+
+module.exports = allowApiKey;
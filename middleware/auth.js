@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
 
 const protect = async (req, res, next) => {
     let token;
@@ -12,7 +13,18 @@ const protect = async (req, res, next) => {
                 return res.status(401).json({ msg: 'Not authorized, token is undefined' });
             }
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            // Tokens are bound to a session so logging out (or an admin) can revoke them early
+            const session = await SessionService.getActiveSession(decoded.sid, decoded.id);
+            if (!session) {
+                return res.status(401).json({ msg: 'Not authorized, session has ended' });
+            }
+
             req.user = await User.findById(decoded.id).select('-password');
+            if (!req.user || req.user.isActive === false) {
+                return res.status(401).json({ msg: 'Not authorized, account is disabled' });
+            }
+            req.authSession = session;
             return next();
         } catch (error) {
             console.log('Auth middleware: Token verification failed:', error.message);
@@ -6,4 +6,19 @@ const aiLimiter = rateLimit({
     message: 'Too many AI requests'
 });
 
-module.exports = { aiLimiter };
+// Coarse per-IP cap on unauthenticated auth endpoints; per-account throttling happens in the login flow
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 50,
+    message: { msg: 'Too many authentication requests, please try again later' }
+});
+
+// Per-key budget for service account requests, set on each key by an admin (runs after API key authentication)
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    limit: (req) => req.apiKey.rateLimitPerMinute,
+    keyGenerator: (req) => req.apiKey._id.toString(),
+    message: { msg: 'API key rate limit exceeded' }
+});
+
+module.exports = { aiLimiter, authLimiter, apiKeyLimiter };
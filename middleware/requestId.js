@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Tag each request with an id (kept from an upstream proxy when present) so logs and
+// audit entries can be traced back to a single call
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = requestId;
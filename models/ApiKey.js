@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Credential for a machine integration, acting as a service account. Only hashes of the secret are stored.
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Key name is required'],
+        trim: true,
+        maxlength: 100
+    },
+    serviceAccount: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Public part of the key ("cpk_<prefix>_…"), shown in listings so admins can tell keys apart
+    prefix: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // After a rotation the replaced secret keeps working until previousKeyExpiresAt
+    previousKeyHash: {
+        type: String,
+        index: true,
+        sparse: true,
+        select: false
+    },
+    previousKeyExpiresAt: Date,
+    scopes: {
+        type: [{
+            type: String,
+            enum: ['issues:create', 'issues:read']
+        }],
+        validate: {
+            validator: (scopes) => scopes.length > 0,
+            message: 'At least one scope is required'
+        }
+    },
+    // Categories the key may file issues in; empty means any
+    categories: [String],
+    rateLimitPerMinute: {
+        type: Number,
+        min: 1,
+        max: 10000,
+        default: 60
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    rotatedAt: Date,
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ serviceAccount: 1, revokedAt: 1 });
+
+apiKeySchema.methods.isActive = function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
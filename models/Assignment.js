@@ -14,7 +14,12 @@ const assignmentSchema = new mongoose.Schema({
     assignedBy: {
         type: mongoose.Schema.ObjectId,
         ref: 'User',
-        required: [true, 'Admin who assigned is required']
+        // Left empty when a routing rule made the assignment
+        required: [function () { return !this.routingRule; }, 'Admin who assigned is required']
+    },
+    routingRule: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'RoutingRule'
     },
     status: {
         type: String,
@@ -37,10 +42,40 @@ const assignmentSchema = new mongoose.Schema({
     estimatedTime: {
         type: Number // Hours
     },
+    // Effective due date: deadline, else creation time + estimatedTime
+    dueAt: {
+        type: Date
+    },
+    startedAt: {
+        type: Date // Officer began work on site (issue moved to in-progress)
+    },
+    // Set when the reporter disputes the resolution of a completed assignment
+    reopened: {
+        type: Boolean,
+        default: false
+    },
+    reopenedAt: {
+        type: Date
+    },
+    reminderSentAt: {
+        type: Date
+    },
+    // Status held before the issue was soft-deleted; restoring the issue puts it back
+    suspendedStatus: {
+        type: String,
+        enum: ['active', 'accepted']
+    },
+    overdue: {
+        type: Boolean,
+        default: false
+    },
+    overdueAt: {
+        type: Date
+    },
     history: [{
         action: {
             type: String,
-            enum: ['assigned', 'accepted', 'reassigned', 'completed']
+            enum: ['assigned', 'accepted', 'started', 'progress', 'reassigned', 'completed', 'reopened', 'reminded', 'overdue']
         },
         officer: {
             type: mongoose.Schema.ObjectId,
@@ -78,10 +113,48 @@ assignmentSchema.virtual('officerDetails', {
     justOne: true
 });
 
+const HOUR_MS = 60 * 60 * 1000;
+
+const computeDueAt = (deadline, estimatedTime, createdAt) => {
+    if (deadline) return deadline;
+    if (estimatedTime) return new Date((createdAt || new Date()).getTime() + estimatedTime * HOUR_MS);
+    return undefined;
+};
+
+assignmentSchema.pre('save', function () {
+    if (this.isNew || this.isModified('deadline') || this.isModified('estimatedTime')) {
+        this.dueAt = computeDueAt(this.deadline, this.estimatedTime, this.createdAt);
+    }
+});
+
+/**
+ * Fill dueAt on open assignments created before deadline tracking existed
+ */
+assignmentSchema.statics.backfillDueDates = async function () {
+    const missing = await this.find({
+        status: { $in: ['active', 'accepted'] },
+        dueAt: { $exists: false },
+        $or: [{ deadline: { $ne: null } }, { estimatedTime: { $gt: 0 } }]
+    }).select('deadline estimatedTime createdAt');
+
+    if (!missing.length) return 0;
+
+    await this.bulkWrite(missing.map(a => ({
+        updateOne: {
+            filter: { _id: a._id },
+            update: { $set: { dueAt: computeDueAt(a.deadline, a.estimatedTime, a.createdAt) } }
+        }
+    })));
+    return missing.length;
+};
+
 // Compound indexes for efficient queries
 assignmentSchema.index({ status: 1, assignedTo: 1 });
 assignmentSchema.index({ issue: 1 });
 assignmentSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
 assignmentSchema.index({ assignedBy: 1 });
+assignmentSchema.index({ routingRule: 1, createdAt: -1 });
+assignmentSchema.index({ status: 1, dueAt: 1 });
+assignmentSchema.index({ overdue: 1, status: 1, dueAt: 1 });
 
 module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User' // null for background jobs
+    },
+    actorRole: {
+        type: String,
+        default: 'system'
+    },
+    action: {
+        type: String, // '<resource>.<verb>', e.g. 'issue.update', 'assignment.reassign'
+        required: [true, 'Action is required']
+    },
+    resourceType: {
+        type: String, // Model name, e.g. 'Issue'
+        required: [true, 'Resource type is required']
+    },
+    resourceId: {
+        type: mongoose.Schema.ObjectId,
+        required: [true, 'Resource id is required']
+    },
+    // Field-level diff; before is undefined on create and after on delete
+    changes: [{
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: String,
+    userAgent: String,
+    requestId: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Append-only: entries can be written once and never changed or removed
+const rejectMutation = function () {
+    throw new Error('Audit log entries are append-only');
+};
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) rejectMutation();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    rejectMutation
+);
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectMutation);
+auditLogSchema.pre('bulkWrite', rejectMutation);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+    issue: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Issue',
+        required: [true, 'Issue reference is required']
+    },
+    author: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: [true, 'Author is required']
+    },
+    // Top-level comments have no parent; replies point at the comment they answer
+    parent: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+        // Deleted comments that still have replies keep their place in the thread without text
+        required: [function () { return !this.deletedAt; }, 'Comment text is required']
+    },
+    // Internal notes are only visible to officers and admins
+    visibility: {
+        type: String,
+        enum: ['public', 'internal'],
+        default: 'public'
+    },
+    mentions: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }],
+    editedAt: Date,
+    deletedAt: Date
+}, {
+    timestamps: true
+});
+
+commentSchema.index({ issue: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const departmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Department name is required'],
+        trim: true,
+        unique: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    // Issue categories this department handles
+    categories: [{
+        type: String,
+        enum: ['road', 'water', 'electricity', 'waste', 'streetlight', 'drainage']
+    }],
+    head: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    // Officers belong to at most one department
+    members: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+departmentSchema.index({ members: 1 });
+departmentSchema.index({ categories: 1 });
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Numeric priority so listings can sort (and cursor-paginate) by urgency
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 };
+
 const issueSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -26,6 +29,10 @@ const issueSchema = new mongoose.Schema({
         enum: ['low', 'medium', 'high', 'urgent'],
         default: 'medium'
     },
+    priorityRank: {
+        type: Number,
+        default: PRIORITY_RANK.medium
+    },
     location: {
         type: {
             type: String,
@@ -39,6 +46,11 @@ const issueSchema = new mongoose.Schema({
         },
         address: String // Human readable address
     },
+    // Zones containing the location: at most one per type (a ward and the district around it)
+    zones: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'Zone'
+    }],
     images: [{
         url: {
             type: String,
@@ -60,24 +72,145 @@ const issueSchema = new mongoose.Schema({
         type: mongoose.Schema.ObjectId,
         ref: 'User' // Officer
     },
+    followers: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'User' // Citizens who reported duplicates of this issue
+    }],
+    upvoters: {
+        type: [{ type: mongoose.Schema.ObjectId, ref: 'User' }],
+        select: false // Citizens confirming ("me too") the issue affects them
+    },
+    upvoteCount: {
+        type: Number,
+        default: 0
+    },
+    duplicateOf: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Issue',
+        default: null
+    },
+    sla: {
+        policy: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'SlaPolicy'
+        },
+        responseDueAt: Date,
+        resolutionDueAt: Date,
+        atRiskAt: Date,
+        respondedAt: Date,
+        resolvedAt: Date,
+        responseBreached: Boolean,
+        state: {
+            type: String,
+            enum: ['on_track', 'at_risk', 'breached', 'met']
+        }
+    },
     resolutionTime: {
         type: Number, // Hours
         default: null
     },
-    comments: [{
-        text: {
-            type: String,
-            required: true
+    // Reported by a citizen who has not verified their email yet: only staff and the reporter see it
+    pendingVerification: {
+        type: Boolean,
+        default: false
+    },
+    // Where the report came from: the app, or an integration using an API key
+    source: {
+        type: String,
+        enum: ['app', 'api'],
+        default: 'app'
+    },
+    apiKey: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'ApiKey'
+    },
+    // Soft delete: hidden from queries until restored or purged
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: {
+        type: Date // Last time the issue entered 'resolved'
+    },
+    // Reporter's verdict on the resolution
+    resolution: {
+        confirmedAt: Date,
+        autoClosedAt: Date,
+        disputes: [{
+            reason: {
+                type: String,
+                trim: true,
+                maxlength: [500, 'Dispute reason cannot exceed 500 characters']
+            },
+            assignment: {
+                type: mongoose.Schema.ObjectId,
+                ref: 'Assignment'
+            },
+            officer: {
+                type: mongoose.Schema.ObjectId,
+                ref: 'User'
+            },
+            timestamp: {
+                type: Date,
+                default: Date.now
+            }
+        }]
+    },
+    statusHistory: [{
+        from: String,
+        to: String,
+        actor: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User' // null when changed by the system
         },
-        user: {
+        actorRole: String,
+        reason: String,
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Field reports posted by the assigned officer; 'after' photos document the finished work
+    progressUpdates: [{
+        assignment: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Assignment'
+        },
+        officer: {
             type: mongoose.Schema.ObjectId,
             ref: 'User'
         },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Progress note cannot exceed 1000 characters']
+        },
+        phase: {
+            type: String,
+            enum: ['progress', 'after'],
+            default: 'progress'
+        },
+        photos: [{
+            url: {
+                type: String,
+                required: true
+            },
+            publicId: String
+        }],
         timestamp: {
             type: Date,
             default: Date.now
         }
-    }]
+    }],
+    // Copy of the public comment texts (kept by CommentService) so $text search covers the discussion
+    commentText: {
+        type: [String],
+        select: false
+    }
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -95,9 +228,77 @@ issueSchema.virtual('formattedLocation').get(function () {
 // Index for efficient queries
 issueSchema.index({ status: 1 });
 issueSchema.index({ category: 1 });
+issueSchema.index({ zones: 1, status: 1 });
 issueSchema.index({ priority: 1, status: 1 });
 issueSchema.index({ location: '2dsphere' });
 issueSchema.index({ createdAt: -1 });
+issueSchema.index({ upvoteCount: -1, createdAt: -1 });
+issueSchema.index({ priorityRank: -1, _id: -1 });
+issueSchema.index({ updatedAt: -1 });
+issueSchema.index({ status: 1, 'sla.state': 1, 'sla.resolutionDueAt': 1 });
+issueSchema.index({ status: 1, resolvedAt: 1 });
+issueSchema.index({ deletedAt: 1 });
+issueSchema.index({ reportedBy: 1, pendingVerification: 1 });
+
+// Weighted full-text search (a collection can only have one text index)
+issueSchema.index(
+    { title: 'text', description: 'text', 'location.address': 'text', commentText: 'text' },
+    {
+        name: 'issue_text_search',
+        weights: { title: 10, description: 5, 'location.address': 3, commentText: 1 }
+    }
+);
+
+// Fill sort fields on documents created before they existed (idempotent, run at startup)
+issueSchema.statics.backfillSortFields = async function () {
+    await Promise.all(Object.entries(PRIORITY_RANK).map(([priority, rank]) => (
+        this.updateMany({ priority, priorityRank: { $ne: rank } }, { $set: { priorityRank: rank } })
+    )));
+    await this.updateMany({ upvoteCount: { $exists: false } }, { $set: { upvoteCount: 0 } });
+};
+
+// Soft-deleted issues are excluded from every query unless the query opts in with
+// .setOptions({ withDeleted: true }) or filters on deletedAt itself
+function excludeDeleted() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+}
+
+issueSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], excludeDeleted);
+
+issueSchema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+
+    // $geoNear (and a $text $match) must stay the first stage, so merge into it
+    const [first] = this.pipeline();
+    if (first?.$geoNear) {
+        first.$geoNear.query = { ...(first.$geoNear.query || {}), deletedAt: null };
+    } else if (first?.$match) {
+        first.$match = { ...first.$match, deletedAt: first.$match.deletedAt ?? null };
+    } else {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+});
+
+// Remember what changed so post-save triggers only fire on real transitions
+issueSchema.pre('save', async function () {
+    const SlaService = require('../services/slaService');
+
+    this.$locals.wasNew = this.isNew;
+    this.$locals.statusChanged = this.isModified('status');
+
+    if (this.isNew || this.isModified('priority')) {
+        this.priorityRank = PRIORITY_RANK[this.priority];
+    }
+
+    // SLA due dates follow the category/priority the issue currently has
+    if (this.isNew || this.isModified('priority') || this.isModified('category')) {
+        await SlaService.applyPolicy(this);
+    }
+    if (this.$locals.statusChanged) {
+        SlaService.recordStatusChange(this);
+    }
+});
 
 // Notification Triggers
 issueSchema.post('save', async function (doc) {
@@ -105,7 +306,7 @@ issueSchema.post('save', async function (doc) {
     const User = mongoose.model('User');
 
     // 1. New Issue Created -> Notify all admins
-    if (doc.createdAt.getTime() === doc.updatedAt.getTime()) {
+    if (doc.$locals.wasNew) {
         const admins = await User.find({ role: 'admin' });
         admins.forEach(async (admin) => {
             await NotificationService.createNotification(
@@ -119,8 +320,8 @@ issueSchema.post('save', async function (doc) {
     }
 
     // 2. Status Changed Triggers
-    // Note: To precisely track status change in post-save, we can check if it's new or was recently modified
-    // Simplified version based on business rules:
+    if (!doc.$locals.statusChanged || doc.$locals.wasNew) return;
+
     if (doc.status === 'assigned' && doc.assignedTo) {
         // Notify officer
         await NotificationService.createNotification(
@@ -142,13 +343,9 @@ issueSchema.post('save', async function (doc) {
     }
 
     if (doc.status === 'resolved') {
-        await NotificationService.createNotification(
-            doc.reportedBy,
-            'ISSUE_RESOLVED',
-            'Issue Resolved!',
-            `Your issue "${doc.title}" has been resolved. Please provide your feedback.`,
-            { issueId: doc._id }
-        );
+        // Ask the reporter to confirm or dispute the fix
+        const ResolutionService = require('../services/resolutionService');
+        await ResolutionService.requestConfirmation(doc);
     }
 });
 
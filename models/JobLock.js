@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Lease held by the server instance currently running a scheduled job
+const jobLockSchema = new mongoose.Schema({
+    _id: {
+        type: String // Job name
+    },
+    owner: {
+        type: String,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
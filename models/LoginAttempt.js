@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 90;
+
+// One sign-in attempt, kept for throttling and the user's "recent sign-ins" list
+const loginAttemptSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    // Why a failed attempt was refused
+    reason: {
+        type: String,
+        enum: ['invalid_credentials', 'throttled', 'locked', 'disabled', 'reset_required']
+    },
+    ip: String,
+    userAgent: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ email: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
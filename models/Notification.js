@@ -10,10 +10,13 @@ const notificationSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Notification type is required'],
         enum: [
-            'ISSUE_CREATED', 'ISSUE_ASSIGNED', 'ISSUE_RESOLVED',
+            'ISSUE_CREATED', 'ISSUE_ASSIGNED', 'ISSUE_PROGRESS', 'ISSUE_RESOLVED',
+            'ISSUE_REOPENED', 'ISSUE_CLOSED',
+            'COMMENT_ADDED', 'COMMENT_MENTION',
             'ASSIGNMENT_ACCEPTED', 'ASSIGNMENT_REASSIGNED',
+            'ASSIGNMENT_DUE_SOON', 'ASSIGNMENT_OVERDUE',
             'FEEDBACK_RECEIVED', 'FEEDBACK_APPROVED',
-            'REPORT_GENERATED', 'SYSTEM_ALERT'
+            'ACCOUNT_UPDATED', 'REPORT_GENERATED', 'SYSTEM_ALERT'
         ]
     },
     title: {
@@ -31,6 +34,7 @@ const notificationSchema = new mongoose.Schema({
         assignmentId: mongoose.Schema.ObjectId,
         feedbackId: mongoose.Schema.ObjectId,
         reportId: mongoose.Schema.ObjectId,
+        commentId: mongoose.Schema.ObjectId,
         url: String // Deep link for mobile
     },
     source: {
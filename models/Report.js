@@ -22,7 +22,8 @@ const reportSchema = new mongoose.Schema({
                 'OFFICER_PERFORMANCE',
                 'MONTHLY_TRENDS',
                 'GEO_ANALYSIS',
-                'PRIORITY_BREAKDOWN'
+                'PRIORITY_BREAKDOWN',
+                'SLA_COMPLIANCE'
             ],
             message: 'Invalid report type'
         }
@@ -35,6 +36,10 @@ const reportSchema = new mongoose.Schema({
             type: mongoose.Schema.ObjectId,
             ref: 'User'
         }],
+        zones: [{
+            type: mongoose.Schema.ObjectId,
+            ref: 'Zone'
+        }],
         startDate: Date,
         endDate: Date,
         location: {
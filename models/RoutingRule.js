@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const routingRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    order: {
+        type: Number, // Lower runs first; the first matching rule wins
+        default: 100
+    },
+    // Empty condition lists match anything
+    conditions: {
+        categories: [{
+            type: String,
+            enum: ['road', 'water', 'electricity', 'waste', 'streetlight', 'drainage']
+        }],
+        priorities: [{
+            type: String,
+            enum: ['low', 'medium', 'high', 'urgent']
+        }],
+        zones: [{
+            type: mongoose.Schema.ObjectId,
+            ref: 'Zone'
+        }],
+        timeWindow: {
+            days: [{
+                type: Number, // 0 = Sunday ... 6 = Saturday
+                min: 0,
+                max: 6
+            }],
+            start: {
+                type: String, // 'HH:mm'; a start later than end wraps past midnight
+                match: [TIME_PATTERN, 'Start time must be HH:mm']
+            },
+            end: {
+                type: String,
+                match: [TIME_PATTERN, 'End time must be HH:mm']
+            }
+        }
+    },
+    // Either a single officer or a pool balanced by workload
+    target: {
+        officer: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        },
+        pool: [{
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+        }]
+    },
+    matchCount: {
+        type: Number,
+        default: 0
+    },
+    lastMatchedAt: {
+        type: Date
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+routingRuleSchema.pre('validate', function () {
+    if (!this.target?.officer && !this.target?.pool?.length) {
+        this.invalidate('target', 'A target officer or officer pool is required');
+    }
+
+    const window = this.conditions?.timeWindow;
+    if (window && Boolean(window.start) !== Boolean(window.end)) {
+        this.invalidate('conditions.timeWindow', 'Time window needs both start and end');
+    }
+});
+
+routingRuleSchema.index({ isActive: 1, order: 1 });
+
+module.exports = mongoose.model('RoutingRule', routingRuleSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Only hashes of its refresh tokens are stored.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The token this one replaced; presenting it again means a rotated token was stolen
+    previousTokenHash: {
+        type: String,
+        index: true
+    },
+    device: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'token_reuse', 'password_changed', 'password_reset_forced', 'user_disabled']
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
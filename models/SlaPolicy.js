@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const slaPolicySchema = new mongoose.Schema({
+    category: {
+        type: String,
+        required: [true, 'Category is required'],
+        enum: {
+            values: ['road', 'water', 'electricity', 'waste', 'streetlight', 'drainage'],
+            message: 'Invalid category'
+        }
+    },
+    priority: {
+        type: String,
+        required: [true, 'Priority is required'],
+        enum: ['low', 'medium', 'high', 'urgent']
+    },
+    responseHours: {
+        type: Number, // Target time until the issue leaves 'open'
+        min: [0, 'Response time cannot be negative']
+    },
+    resolutionHours: {
+        type: Number, // Target time until the issue is resolved
+        required: [true, 'Resolution time is required'],
+        min: [1, 'Resolution time must be at least 1 hour']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// One policy per category/priority pair
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -7,7 +7,8 @@ const userSchema = mongoose.Schema({
     password: { type: String, required: true },
     role: {
         type: String,
-        enum: ['citizen', 'officer', 'admin'],
+        // 'service' accounts belong to machine integrations and only authenticate with API keys
+        enum: ['citizen', 'officer', 'admin', 'service'],
         default: 'citizen'
     },
     location: { type: String },
@@ -17,9 +18,29 @@ const userSchema = mongoose.Schema({
         publicId: { type: String }
     },
     bio: { type: String },
-    address: { type: String }
+    address: { type: String },
+    // Officer specialisations, e.g. 'pipe-repair', 'high-voltage'
+    skills: [{ type: String, trim: true, lowercase: true }],
+    // Disabled accounts cannot sign in or use existing tokens
+    isActive: { type: Boolean, default: true },
+    deactivatedAt: { type: Date },
+    deactivatedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    deactivationReason: { type: String, trim: true, maxlength: 500 },
+    // Set by an admin: sign-in is refused until the password is reset by email
+    passwordResetRequired: { type: Boolean, default: false },
+    // Brute-force protection: consecutive failed sign-ins and the temporary lock they trigger
+    failedLoginCount: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    // Failed sign-ins before this (last success or admin unlock) no longer slow the account down
+    failuresResetAt: { type: Date },
+    lastLoginAt: { type: Date },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date }
 }, { timestamps: true });
 
+userSchema.index({ role: 1, skills: 1 });
+userSchema.index({ role: 1, isActive: 1, createdAt: -1 });
+
 // Hash password before save
 userSchema.pre('save', async function () {
     if (!this.isModified('password')) return;
@@ -27,6 +48,11 @@ userSchema.pre('save', async function () {
     this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Accounts created before email verification existed count as verified (idempotent, run at startup)
+userSchema.statics.backfillEmailVerified = async function () {
+    await this.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } });
+};
+
 // Method to compare password
 userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const zoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    code: {
+        type: String,
+        required: [true, 'Zone code is required'],
+        trim: true,
+        uppercase: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['ward', 'district'],
+        default: 'ward'
+    },
+    geometry: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon'],
+            required: [true, 'Geometry type is required']
+        },
+        coordinates: {
+            type: Array,
+            required: [true, 'Geometry coordinates are required']
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+zoneSchema.index({ geometry: '2dsphere' });
+zoneSchema.index({ isActive: 1, type: 1 });
+
+module.exports = mongoose.model('Zone', zoneSchema);
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createServiceAccount,
+    getServiceAccounts,
+    createApiKey,
+    getApiKeys,
+    getApiKeyById,
+    updateApiKey,
+    rotateApiKey,
+    revokeApiKey
+} = require('../controllers/apiKeyController');
+const protect = require('../middleware/auth');
+const authorize = require('../middleware/roles');
+
+router.use(protect, authorize('admin'));
+
+router.route('/service-accounts')
+    .get(getServiceAccounts)
+    .post(createServiceAccount);
+
+router.route('/')
+    .get(getApiKeys)
+    .post(createApiKey);
+
+router.route('/:id')
+    .get(getApiKeyById)
+    .put(updateApiKey)
+    .delete(revokeApiKey);
+
+router.post('/:id/rotate', rotateApiKey);
+
+module.exports = router;
@@ -2,23 +2,32 @@ const express = require('express');
 const router = express.Router();
 const {
     createAssignment,
+    getRecommendations,
     getMyAssignments,
+    getOverdueAssignments,
     getOfficerAssignments,
     getAssignmentById,
     acceptAssignment,
+    startAssignment,
+    addProgressUpdate,
     reassignIssue,
     completeAssignment,
     deleteAssignment
 } = require('../controllers/assignmentController');
 const protect = require('../middleware/auth');
 const authorize = require('../middleware/roles');
+const upload = require('../middleware/multer');
 
 // Officer routes
 router.get('/me', protect, authorize('officer'), getMyAssignments);
 router.put('/:id/accept', protect, authorize('officer'), acceptAssignment);
-router.put('/:id/complete', protect, authorize('officer'), completeAssignment);
+router.put('/:id/start', protect, authorize('officer'), startAssignment);
+router.post('/:id/progress', protect, authorize('officer'), upload, addProgressUpdate);
+router.put('/:id/complete', protect, authorize('officer'), upload, completeAssignment);
 
 // Admin routes
+router.get('/overdue', protect, authorize('admin'), getOverdueAssignments);
+router.get('/recommend/:issueId', protect, authorize('admin'), getRecommendations);
 router.post('/:issueId', protect, authorize('admin'), createAssignment);
 router.get('/officer/:id', protect, authorize('admin'), getOfficerAssignments);
 router.put('/:id/reassign', protect, authorize('admin'), reassignIssue);
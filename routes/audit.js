@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs, getResourceHistory } = require('../controllers/auditController');
+const protect = require('../middleware/auth');
+const authorize = require('../middleware/roles');
+
+router.use(protect, authorize('admin'));
+
+router.get('/', getAuditLogs);
+router.get('/:resourceType/:resourceId', getResourceHistory);
+
+module.exports = router;
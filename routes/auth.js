@@ -1,10 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, getMe } = require('../controllers/authController');
+const {
+    registerUser,
+    loginUser,
+    refreshToken,
+    logoutUser,
+    logoutAllSessions,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    getRecentSignIns,
+    getMe
+} = require('../controllers/authController');
 const protect = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+router.post('/register', authLimiter, registerUser);
+router.post('/login', authLimiter, loginUser);
+router.post('/refresh', refreshToken);
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllSessions);
+router.post('/verify-email', authLimiter, verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/forgot-password', authLimiter, forgotPassword);
+router.post('/reset-password', authLimiter, resetPassword);
+router.get('/sign-ins', protect, getRecentSignIns);
 router.get('/me', protect, getMe);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+// Mounted under /api/issues/:id/comments
+const router = express.Router({ mergeParams: true });
+const {
+    getIssueComments,
+    addComment,
+    updateComment,
+    deleteComment
+} = require('../controllers/commentController');
+const protect = require('../middleware/auth');
+
+router.route('/')
+    .get(protect, getIssueComments)
+    .post(protect, addComment);
+
+router.route('/:commentId')
+    .put(protect, updateComment)
+    .delete(protect, deleteComment);
+
+module.exports = router;
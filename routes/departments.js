@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createDepartment,
+    getDepartments,
+    getDepartmentById,
+    updateDepartment,
+    deleteDepartment
+} = require('../controllers/departmentController');
+const protect = require('../middleware/auth');
+const authorize = require('../middleware/roles');
+
+router.route('/')
+    .get(protect, getDepartments)
+    .post(protect, authorize('admin'), createDepartment);
+
+router.route('/:id')
+    .get(protect, getDepartmentById)
+    .put(protect, authorize('admin'), updateDepartment)
+    .delete(protect, authorize('admin'), deleteDepartment);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getIssuesGeoJson } = require('../controllers/issueController');
+const protect = require('../middleware/auth');
+
+// @route   GET /api/issues.geojson
+// Mounted separately because '/api/issues' only matches whole path segments
+router.get('/', protect, getIssuesGeoJson);
+
+module.exports = router;
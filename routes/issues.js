@@ -4,31 +4,68 @@ const {
     createIssue,
     getIssues,
     getIssueById,
+    getIssueEvidence,
     updateIssue,
+    confirmResolution,
+    disputeResolution,
     deleteIssue,
+    getDeletedIssues,
+    restoreIssue,
     getIssuesNearby,
-    getAISuggestions
+    getAISuggestions,
+    checkDuplicates,
+    mergeIssue,
+    upvoteIssue,
+    removeUpvote,
+    getIssueClusters,
+    getIssueHeatmap
 } = require('../controllers/issueController');
 const protect = require('../middleware/auth');
+const allowApiKey = require('../middleware/apiKey');
 const authorize = require('../middleware/roles');
 const { aiLimiter } = require('../middleware/rateLimit');
 
 const upload = require('../middleware/multer');
+const commentRoutes = require('./comments');
 
 // @route   POST /api/issues/ai-suggest
 router.post('/ai-suggest', protect, aiLimiter, getAISuggestions);
 
+// @route   POST /api/issues/check-duplicates
+router.post('/check-duplicates', protect, checkDuplicates);
+
 // @route   GET /api/issues/nearby
 // Order matters: place specific routes before parameterized routes
 router.get('/nearby', protect, getIssuesNearby);
 
+// @route   GET /api/issues/map/clusters | /api/issues/map/heatmap
+router.get('/map/clusters', protect, getIssueClusters);
+router.get('/map/heatmap', protect, getIssueHeatmap);
+
+// @route   GET /api/issues/deleted
+router.get('/deleted', protect, authorize('admin'), getDeletedIssues);
+
+// Integrations can also call these with an `X-API-Key` header
 router.route('/')
-    .get(protect, getIssues)
-    .post(protect, authorize('citizen'), upload, createIssue);
+    .get(allowApiKey('issues:read'), getIssues)
+    .post(allowApiKey('issues:create'), authorize('citizen', 'service'), upload, createIssue);
 
 router.route('/:id')
-    .get(protect, getIssueById)
+    .get(allowApiKey('issues:read'), getIssueById)
     .put(protect, authorize('officer', 'admin'), updateIssue)
     .delete(protect, authorize('admin'), deleteIssue);
 
+router.get('/:id/evidence', protect, getIssueEvidence);
+router.use('/:id/comments', commentRoutes);
+router.put('/:id/restore', protect, authorize('admin'), restoreIssue);
+
+router.post('/:id/merge', protect, authorize('admin'), mergeIssue);
+
+router.post('/:id/confirm', protect, authorize('citizen'), confirmResolution);
+router.post('/:id/dispute', protect, authorize('citizen'), disputeResolution);
+
+router.route('/:id/upvote')
+    .post(protect, authorize('citizen'), upvoteIssue)
+    .delete(protect, authorize('citizen'), removeUpvote);
+
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createRoutingRule,
+    getRoutingRules,
+    getRoutingRuleById,
+    updateRoutingRule,
+    toggleRoutingRule,
+    deleteRoutingRule,
+    dryRunRoutingRules
+} = require('../controllers/routingRuleController');
+const protect = require('../middleware/auth');
+const authorize = require('../middleware/roles');
+
+router.use(protect, authorize('admin'));
+
+// Order matters: place specific routes before parameterized routes
+router.post('/dry-run', dryRunRoutingRules);
+
+router.route('/')
+    .get(getRoutingRules)
+    .post(createRoutingRule);
+
+router.route('/:id')
+    .get(getRoutingRuleById)
+    .put(updateRoutingRule)
+    .delete(deleteRoutingRule);
+
+router.patch('/:id/toggle', toggleRoutingRule);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createSlaPolicy,
+    getSlaPolicies,
+    updateSlaPolicy,
+    deleteSlaPolicy
+} = require('../controllers/slaPolicyController');
+const protect = require('../middleware/auth');
+const authorize = require('../middleware/roles');
+
+router.use(protect, authorize('admin'));
+
+router.route('/')
+    .get(getSlaPolicies)
+    .post(createSlaPolicy);
+
+router.route('/:id')
+    .put(updateSlaPolicy)
+    .delete(deleteSlaPolicy);
+
+module.exports = router;
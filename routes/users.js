@@ -1,10 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { getUserProfile, updateUserProfile } = require('../controllers/userController');
+const {
+    getUserProfile,
+    updateUserProfile,
+    updateUserSkills,
+    getUsers,
+    getUserActivity,
+    updateUserRole,
+    deactivateUser,
+    reactivateUser,
+    forcePasswordReset,
+    unlockUser
+} = require('../controllers/userController');
 const protect = require('../middleware/auth');
+const authorize = require('../middleware/roles');
 
 router.route('/me')
     .get(protect, getUserProfile)
     .put(protect, updateUserProfile);
 
+// Admin user management
+router.get('/', protect, authorize('admin'), getUsers);
+router.get('/:id/activity', protect, authorize('admin'), getUserActivity);
+router.put('/:id/role', protect, authorize('admin'), updateUserRole);
+router.put('/:id/deactivate', protect, authorize('admin'), deactivateUser);
+router.put('/:id/reactivate', protect, authorize('admin'), reactivateUser);
+router.post('/:id/force-password-reset', protect, authorize('admin'), forcePasswordReset);
+router.put('/:id/unlock', protect, authorize('admin'), unlockUser);
+router.put('/:id/skills', protect, authorize('admin'), updateUserSkills);
+
 module.exports = router;
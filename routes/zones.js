@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const {
+    createZone,
+    getZones,
+    getZoneById,
+    updateZone,
+    deleteZone,
+    importZones
+} = require('../controllers/zoneController');
+const protect = require('../middleware/auth');
+const authorize = require('../middleware/roles');
+
+// GeoJSON boundary files are parsed in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 } // 20MB limit
+});
+
+// Order matters: place specific routes before parameterized routes
+router.post('/import', protect, authorize('admin'), upload.single('file'), importZones);
+
+router.route('/')
+    .get(protect, getZones)
+    .post(protect, authorize('admin'), createZone);
+
+router.route('/:id')
+    .get(protect, getZoneById)
+    .put(protect, authorize('admin'), updateZone)
+    .delete(protect, authorize('admin'), deleteZone);
+
+module.exports = router;
@@ -5,6 +5,12 @@ const dotenv = require('dotenv');
 const http = require('http');
 const socket = require('./socket');
 const NotificationService = require('./services/notificationService');
+const { startJobs } = require('./jobs');
+const Issue = require('./models/Issue');
+const Assignment = require('./models/Assignment');
+const User = require('./models/User');
+const CommentService = require('./services/commentService');
+const ZoneService = require('./services/zoneService');
 
 dotenv.config();
 
@@ -14,10 +20,23 @@ const server = http.createServer(app);
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(require('./middleware/requestId'));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log('✅ MongoDB Connected - CityPulse'))
+    .then(() => {
+        console.log('✅ MongoDB Connected - CityPulse');
+        Issue.backfillSortFields().catch(err => console.error('❌ Issue backfill failed:', err.message));
+        Assignment.backfillDueDates().catch(err => console.error('❌ Assignment backfill failed:', err.message));
+        User.backfillEmailVerified().catch(err => console.error('❌ User backfill failed:', err.message));
+        CommentService.migrateEmbeddedComments()
+            .then(count => count && console.log(`✅ Moved ${count} embedded issue comment(s) to the comments collection`))
+            .catch(err => console.error('❌ Comment migration failed:', err.message));
+        ZoneService.migrateIssueZones()
+            .then(count => count && console.log(`✅ Re-resolved zones for ${count} issue(s)`))
+            .catch(err => console.error('❌ Zone migration failed:', err.message));
+        startJobs();
+    })
     .catch(err => console.error('❌ MongoDB Error:', err));
 
 // Routes
@@ -28,11 +47,18 @@ app.use('/api/reports', require('./routes/reports'));
 app.use('/api/assignments', require('./routes/assignments'));
 
 
+app.use('/api/issues.geojson', require('./routes/geojson'));
 app.use('/api/issues', require('./routes/issues'));
 app.use('/api/upload', require('./routes/upload'));
 
 app.use('/api/feedback', require('./routes/feedback'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/sla-policies', require('./routes/slaPolicies'));
+app.use('/api/zones', require('./routes/zones'));
+app.use('/api/routing-rules', require('./routes/routingRules'));
+app.use('/api/departments', require('./routes/departments'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 
 
 // Health Check
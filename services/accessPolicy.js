@@ -0,0 +1,109 @@
+const DepartmentService = require('./departmentService');
+
+// Resource-level access rules. Roles are checked by the `authorize` middleware; these rules decide
+// whether the user is related to the specific document closely enough to act on it.
+// An action is allowed when any of its relationships holds.
+const POLICIES = {
+    'assignment:view': ['admin', 'assignee', 'departmentHead'],
+    'assignment:work': ['assignee'],
+    'issue:update': ['admin', 'assignee', 'departmentMember'],
+    'feedback:view': ['admin', 'feedbackAuthor', 'ratedOfficer'],
+    'feedback:submit': ['reporter'],
+    'feedback:edit': ['feedbackAuthor'],
+    'feedback:delete': ['admin', 'feedbackAuthor'],
+    'feedback:reply': ['admin', 'feedbackOfficer'],
+    'comment:edit': ['commentAuthor'],
+    'comment:delete': ['admin', 'commentAuthor'],
+    'dashboard:officer': ['admin', 'self', 'departmentHead'],
+    'dashboard:citizen': ['admin', 'self']
+};
+
+const MESSAGES = {
+    'assignment:view': 'Not authorized to view this assignment',
+    'assignment:work': 'Only the assigned officer can work on this assignment',
+    'issue:update': 'Only the assigned officer, the department handling this category or an admin can update this issue',
+    'feedback:view': 'Not authorized to view this feedback',
+    'feedback:submit': 'Only the citizen who reported the issue can provide feedback',
+    'feedback:edit': 'You can only edit your own feedback',
+    'feedback:delete': 'Not authorized to delete this feedback',
+    'feedback:reply': 'Not authorized to reply to this feedback',
+    'comment:edit': 'You can only edit your own comments',
+    'comment:delete': 'Not authorized to delete this comment',
+    'dashboard:officer': 'Not authorized to view this dashboard',
+    'dashboard:citizen': 'Not authorized to view this dashboard'
+};
+
+// Helper: compare a populated or plain reference with an id
+const sameId = (ref, id) => Boolean(ref && id) && (ref._id || ref).toString() === id.toString();
+
+/**
+ * Relationship checks. Each receives the user and a context of documents the controller already loaded:
+ * { issue, assignment, feedback, comment, userId, department }
+ */
+const RELATIONSHIPS = {
+    admin: (user) => user.role === 'admin',
+    self: (user, { userId }) => sameId(userId, user._id),
+    reporter: (user, { issue }) => sameId(issue?.reportedBy, user._id),
+    assignee: (user, { assignment, issue }) => sameId(assignment ? assignment.assignedTo : issue?.assignedTo, user._id),
+    feedbackAuthor: (user, { feedback }) => sameId(feedback?.citizen, user._id),
+    feedbackOfficer: (user, { feedback }) => sameId(feedback?.officer, user._id),
+    // Officers only see feedback about them once an admin approved it
+    ratedOfficer: (user, { feedback }) => sameId(feedback?.officer, user._id) && feedback.status === 'approved',
+    commentAuthor: (user, { comment }) => sameId(comment?.author, user._id),
+    // Officer whose department handles the issue's category (officers outside any department are unrestricted)
+    departmentMember: async (user, { issue }) => (
+        user.role === 'officer' && Boolean(issue) && !(await DepartmentService.checkCoverage(user._id, issue.category))
+    ),
+    // Head of the department the officer (dashboard owner or assignee) belongs to;
+    // pass `department` when the caller already loaded it
+    departmentHead: async (user, { userId, assignment, department }) => {
+        const officerId = userId || assignment?.assignedTo;
+        if (user.role !== 'officer' || !officerId) return false;
+        const officerDepartment = department !== undefined
+            ? department
+            : await DepartmentService.getOfficerDepartment(officerId._id || officerId);
+        return sameId(officerDepartment?.head, user._id);
+    }
+};
+
+class AccessPolicy {
+    /**
+     * Whether the user may perform an action on the documents in the context
+     * @param {Object} user - Authenticated user
+     * @param {String} action - Key of POLICIES, e.g. 'assignment:view'
+     * @param {Object} context - { issue, assignment, feedback, comment, userId, department }
+     */
+    static async can(user, action, context = {}) {
+        const relationships = POLICIES[action];
+        if (!relationships) throw new Error(`Unknown access policy '${action}'`);
+
+        for (const name of relationships) {
+            if (await RELATIONSHIPS[name](user, context)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @returns {Promise<null|{statusCode: Number, message: String}>} null when allowed
+     */
+    static async check(user, action, context = {}) {
+        if (await AccessPolicy.can(user, action, context)) return null;
+        return { statusCode: 403, message: MESSAGES[action] };
+    }
+
+    /**
+     * Same as check, but throws the failure (for services)
+     */
+    static async enforce(user, action, context = {}) {
+        const failure = await AccessPolicy.check(user, action, context);
+        if (failure) {
+            const error = new Error(failure.message);
+            error.statusCode = failure.statusCode;
+            throw error;
+        }
+    }
+}
+
+AccessPolicy.POLICIES = POLICIES;
+
+module.exports = AccessPolicy;
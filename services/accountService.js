@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthToken = require('../models/AuthToken');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+const EmailService = require('./emailService');
+const SessionService = require('./sessionService');
+
+// Read on use (like JWT_SECRET) so values from .env apply
+const verificationHours = () => parseFloat(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 24;
+const resetMinutes = () => parseFloat(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60;
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class AccountService {
+    /**
+     * Sign a single-use token for the user. Earlier unused tokens for the same purpose stop working.
+     * @returns {Promise<String>} the token to send; only its hash is stored
+     */
+    static async issueToken(user, purpose, ttlSeconds) {
+        const token = jwt.sign(
+            { sub: user._id.toString(), purpose, jti: crypto.randomBytes(16).toString('hex') },
+            process.env.JWT_SECRET,
+            { expiresIn: Math.round(ttlSeconds) }
+        );
+
+        await AuthToken.updateMany({ user: user._id, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+        await AuthToken.create({
+            user: user._id,
+            purpose,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+        });
+
+        return token;
+    }
+
+    /**
+     * Check the signature and expiry, then mark the stored token used
+     * @returns {Promise<Object>} the token's user
+     */
+    static async consumeToken(token, purpose) {
+        let payload;
+        try {
+            payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+        } catch (error) {
+            throw fail(400, 'Token is invalid or has expired');
+        }
+        if (payload.purpose !== purpose) {
+            throw fail(400, 'Token is invalid or has expired');
+        }
+
+        const record = await AuthToken.findOneAndUpdate(
+            { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } },
+            { new: true }
+        );
+        if (!record || record.user.toString() !== payload.sub) {
+            throw fail(400, 'Token is invalid, expired or already used');
+        }
+
+        const user = await User.findById(record.user);
+        if (!user) throw fail(400, 'Token is invalid, expired or already used');
+        return user;
+    }
+
+    static async sendVerification(user) {
+        if (user.emailVerified) throw fail(400, 'Email is already verified');
+
+        const hours = verificationHours();
+        const token = await AccountService.issueToken(user, 'email_verification', hours * 3600);
+        await EmailService.sendEmailVerification(user, token, hours);
+    }
+
+    /**
+     * Mark the address verified and publish the issues reported while unverified
+     * @returns {Promise<Number>} issues published
+     */
+    static async markEmailVerified(user) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+
+        const result = await Issue.updateMany(
+            { reportedBy: user._id, pendingVerification: true },
+            { $set: { pendingVerification: false } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * @returns {Promise<{user, issuesPublished: Number}>}
+     */
+    static async verifyEmail(token) {
+        const user = await AccountService.consumeToken(token, 'email_verification');
+        if (user.emailVerified) return { user, issuesPublished: 0 };
+
+        const issuesPublished = await AccountService.markEmailVerified(user);
+        return { user, issuesPublished };
+    }
+
+    /**
+     * Email a reset link. Unknown or disabled addresses are ignored silently so the endpoint
+     * cannot be used to find out who has an account.
+     */
+    static async requestPasswordReset(email) {
+        if (!email) return;
+        const user = await User.findOne({ email: String(email).trim() });
+        if (!user || user.isActive === false || user.role === 'service') return;
+
+        await AccountService.sendPasswordReset(user);
+    }
+
+    static async sendPasswordReset(user) {
+        const minutes = resetMinutes();
+        const token = await AccountService.issueToken(user, 'password_reset', minutes * 60);
+        await EmailService.sendPasswordReset(user, token, minutes);
+    }
+
+    /**
+     * Set a new password from a reset token and sign out every device
+     */
+    static async resetPassword(token, password) {
+        if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+            throw fail(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+
+        const user = await AccountService.consumeToken(token, 'password_reset');
+        user.password = password;
+        user.passwordResetRequired = false;
+        // Following the emailed link proves the address belongs to the user
+        if (user.emailVerified) {
+            await user.save();
+        } else {
+            await AccountService.markEmailVerified(user);
+        }
+
+        await SessionService.revokeAll(user._id, 'password_changed');
+        return user;
+    }
+}
+
+module.exports = AccountService;
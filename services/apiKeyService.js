@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+
+// How long a rotated-out secret keeps working so integrations can be redeployed
+const ROTATION_GRACE_HOURS = parseFloat(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+const SCOPES = ApiKey.schema.path('scopes').embeddedSchemaType.enumValues;
+const CATEGORIES = Issue.schema.path('category').enumValues;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Helper: "cpk_<prefix>_<secret>"; the prefix identifies the key in listings and logs
+const generateKey = () => {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `cpk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+    return { prefix, key, keyHash: hashKey(key) };
+};
+
+// Helper: validate the scope/category/limit fields shared by create and update
+const validateKeyFields = ({ scopes, categories, rateLimitPerMinute, expiresAt }) => {
+    if (scopes !== undefined) {
+        if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !SCOPES.includes(s))) {
+            throw fail(400, `Scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+        }
+    }
+    if (categories !== undefined) {
+        if (!Array.isArray(categories) || categories.some(c => !CATEGORIES.includes(c))) {
+            throw fail(400, `Categories must be a list of: ${CATEGORIES.join(', ')}`);
+        }
+    }
+    if (rateLimitPerMinute !== undefined) {
+        const limit = Number(rateLimitPerMinute);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+            throw fail(400, 'rateLimitPerMinute must be a whole number between 1 and 10000');
+        }
+    }
+    if (expiresAt) {
+        const date = new Date(expiresAt);
+        if (isNaN(date.getTime()) || date <= new Date()) throw fail(400, 'expiresAt must be a future date');
+    }
+};
+
+class ApiKeyService {
+    /**
+     * Create the user an integration acts as. It has no usable password and can only authenticate with API keys.
+     */
+    static async createServiceAccount({ name, description }) {
+        if (!name || !String(name).trim()) throw fail(400, 'Service account name is required');
+
+        return User.create({
+            name: String(name).trim(),
+            email: `service-${crypto.randomBytes(6).toString('hex')}@service-accounts.local`,
+            password: crypto.randomBytes(32).toString('hex'),
+            role: 'service',
+            bio: description,
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+    }
+
+    /**
+     * Issue a key for a service account
+     * @returns {Promise<{apiKey, key: String}>} the plain key is only available here
+     */
+    static async createKey(serviceAccount, { name, scopes, categories, rateLimitPerMinute, expiresAt }, admin) {
+        if (serviceAccount.role !== 'service') throw fail(400, 'API keys can only be issued to service accounts');
+        if (serviceAccount.isActive === false) throw fail(400, 'Reactivate the service account before issuing keys');
+        validateKeyFields({ scopes: scopes || [], categories, rateLimitPerMinute, expiresAt });
+
+        const { prefix, key, keyHash } = generateKey();
+        const created = await ApiKey.create({
+            name,
+            serviceAccount: serviceAccount._id,
+            prefix,
+            keyHash,
+            scopes,
+            categories,
+            rateLimitPerMinute,
+            expiresAt,
+            createdBy: admin._id
+        });
+
+        // Reload so the hash (select: false) is not returned
+        return { apiKey: await ApiKey.findById(created._id), key };
+    }
+
+    static async updateKey(apiKey, { name, scopes, categories, rateLimitPerMinute, expiresAt }) {
+        if (apiKey.revokedAt) throw fail(400, 'Revoked keys cannot be changed');
+        validateKeyFields({ scopes, categories, rateLimitPerMinute, expiresAt });
+
+        if (name) apiKey.name = name;
+        if (scopes !== undefined) apiKey.scopes = scopes;
+        if (categories !== undefined) apiKey.categories = categories;
+        if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = Number(rateLimitPerMinute);
+        if (expiresAt !== undefined) apiKey.expiresAt = expiresAt || undefined;
+
+        return apiKey.save();
+    }
+
+    /**
+     * Replace the secret. The old one keeps working for the grace period (0 ends it immediately).
+     * @returns {Promise<{apiKey, key: String}>}
+     */
+    static async rotateKey(apiKey, graceHours = ROTATION_GRACE_HOURS) {
+        if (!apiKey.isActive()) throw fail(400, 'Only active keys can be rotated');
+        const hours = Number(graceHours);
+        if (!Number.isFinite(hours) || hours < 0 || hours > 24 * 7) {
+            throw fail(400, 'graceHours must be between 0 and 168');
+        }
+
+        const current = await ApiKey.findById(apiKey._id).select('+keyHash');
+        const { key, keyHash } = generateKey();
+        const rotated = await ApiKey.findOneAndUpdate(
+            // Guard against two rotations racing: only the one that still sees the current hash wins
+            { _id: apiKey._id, keyHash: current.keyHash },
+            {
+                $set: {
+                    keyHash,
+                    previousKeyHash: current.keyHash,
+                    previousKeyExpiresAt: new Date(Date.now() + hours * HOUR_MS),
+                    rotatedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+        if (!rotated) throw fail(409, 'The key was rotated by another request');
+
+        return { apiKey: rotated, key };
+    }
+
+    static async revokeKey(apiKey, admin) {
+        if (apiKey.revokedAt) throw fail(400, 'Key is already revoked');
+        apiKey.revokedAt = new Date();
+        apiKey.revokedBy = admin._id;
+        apiKey.previousKeyExpiresAt = undefined;
+        return apiKey.save();
+    }
+
+    /**
+     * Resolve a presented key to its key document and service account, recording the use
+     * @returns {Promise<{apiKey, user}>}
+     */
+    static async authenticate(key, ip) {
+        const keyHash = hashKey(String(key));
+        const apiKey = await ApiKey.findOne({
+            revokedAt: null,
+            $or: [
+                { keyHash },
+                { previousKeyHash: keyHash, previousKeyExpiresAt: { $gt: new Date() } }
+            ]
+        });
+        if (!apiKey || !apiKey.isActive()) throw fail(401, 'API key is invalid, expired or revoked');
+
+        const user = await User.findById(apiKey.serviceAccount).select('-password');
+        if (!user || user.role !== 'service' || user.isActive === false) {
+            throw fail(401, 'Service account is disabled');
+        }
+
+        await ApiKey.updateOne(
+            { _id: apiKey._id },
+            { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+        );
+
+        return { apiKey, user };
+    }
+
+    static hasScope(apiKey, scope) {
+        return apiKey.scopes.includes(scope);
+    }
+
+    /**
+     * Keys without a category list may file issues in any category
+     */
+    static allowsCategory(apiKey, category) {
+        return !apiKey.categories?.length || apiKey.categories.includes(category);
+    }
+}
+
+ApiKeyService.SCOPES = SCOPES;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const User = require('../models/User');
+const CalendarService = require('./calendarService');
+const IssueWorkflow = require('./issueWorkflow');
+const DepartmentService = require('./departmentService');
+
+const ACTIVE_STATUSES = ['active', 'accepted'];
+
+const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class AssignmentService {
+    /**
+     * Check that an account can take assignments: an existing, active officer
+     * @returns {Promise<null|{statusCode: Number, message: String}>} null when allowed
+     */
+    static async checkOfficer(officerId) {
+        const officer = mongoose.Types.ObjectId.isValid(officerId)
+            ? await User.findById(officerId).select('role isActive')
+            : null;
+        if (!officer || officer.role !== 'officer') {
+            return { statusCode: 400, message: 'Issues can only be assigned to officers' };
+        }
+        if (officer.isActive === false) {
+            return { statusCode: 409, message: 'Officer account is deactivated' };
+        }
+        return null;
+    }
+
+    /**
+     * Assign an issue to an officer. Shared by manual assignment and the routing engine.
+     * @param {Object} issue - Issue document
+     * @param {Object} options - { officerId, actor, priority, deadline, notes, estimatedTime, routingRule }
+     *   actor is the admin making the assignment, or null when a routing rule fires
+     * @returns {Promise<Object>} the new Assignment; throws an Error carrying statusCode when refused
+     */
+    static async assignIssue(issue, { officerId, actor = null, priority, deadline, notes, estimatedTime, routingRule } = {}) {
+        // 1. Issue must still be workable
+        if (['resolved', 'closed'].includes(issue.status)) {
+            throw fail(400, 'Cannot assign a resolved or closed issue');
+        }
+
+        // 2. Prevent duplicate active assignments for the same issue
+        const existingAssignment = await Assignment.findOne({
+            issue: issue._id,
+            status: { $in: ACTIVE_STATUSES }
+        });
+
+        if (existingAssignment) {
+            throw fail(400, 'Issue already has an active assignment');
+        }
+
+        // 3. Only active officers, and only for issues their department covers
+        const ineligible = await AssignmentService.checkOfficer(officerId);
+        if (ineligible) {
+            throw fail(ineligible.statusCode, ineligible.message);
+        }
+        const coverage = await DepartmentService.checkCoverage(officerId, issue.category);
+        if (coverage) {
+            throw fail(coverage.statusCode, coverage.message);
+        }
+
+        // 4. Make sure the issue may move to 'assigned' before creating anything
+        issue.assignedTo = officerId;
+        const failure = IssueWorkflow.validateTransition(issue, 'assigned', actor, { reason: notes });
+        if (failure) {
+            throw fail(failure.statusCode, failure.message);
+        }
+
+        // 5. Create assignment
+        const assignment = new Assignment({
+            issue: issue._id,
+            assignedTo: officerId,
+            assignedBy: actor ? actor._id : undefined,
+            routingRule: routingRule ? routingRule._id : undefined,
+            priority: priority || issue.priority,
+            deadline,
+            notes,
+            estimatedTime,
+            history: [{
+                action: 'assigned',
+                admin: actor ? actor._id : undefined,
+                officer: officerId,
+                notes: notes || 'Initial assignment'
+            }]
+        });
+
+        await assignment.save();
+
+        // 6. Update Issue status
+        IssueWorkflow.applyTransition(issue, 'assigned', actor, { reason: notes || 'Initial assignment' });
+        await issue.save();
+
+        // 7. Google Calendar Integration
+        const officer = await User.findById(officerId);
+        if (officer) {
+            try {
+                console.log('🔄 Creating Google Calendar event...');
+                await CalendarService.createAssignmentEvent(officer, assignment, issue);
+            } catch (calError) {
+                console.error('⚠️ Google Calendar Error:', calError.message);
+            }
+
+            // 8. 🚨 SEND NOTIFICATION EMAILS
+            try {
+                const EmailService = require('./emailService');
+                console.log('📨 Sending notification emails...');
+
+                // Populate reportedBy with specific fields to be sure
+                console.log('🔄 Populating reportedBy for issue...');
+                await issue.populate({ path: 'reportedBy', select: 'name email phone' });
+
+                if (!issue.reportedBy || !issue.reportedBy.email) {
+                    console.log('⚠️ Could not populate reporter email. Current reportedBy:', issue.reportedBy);
+                }
+
+                // Email 1: Notify Citizen
+                await EmailService.sendToCitizen(issue, officer);
+
+                // Email 2: Notify Officer
+                await EmailService.sendToOfficer(issue, officer, issue.reportedBy);
+            } catch (emailError) {
+                console.error('❌ Email Notification Error:', emailError.message);
+                console.error(emailError.stack);
+            }
+        }
+
+        return assignment;
+    }
+
+    /**
+     * Count active/accepted assignments per officer
+     * @returns {Promise<Map<String, Number>>} officerId → open assignment count (0 for idle officers)
+     */
+    static async getWorkloads(officerIds) {
+        const counts = await Assignment.aggregate([
+            { $match: { assignedTo: { $in: officerIds }, status: { $in: ACTIVE_STATUSES } } },
+            { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+        ]);
+
+        const workloads = new Map(officerIds.map(id => [id.toString(), 0]));
+        counts.forEach(c => workloads.set(c._id.toString(), c.count));
+        return workloads;
+    }
+}
+
+AssignmentService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = AssignmentService;
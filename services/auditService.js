@@ -0,0 +1,80 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that change on every save
+const IGNORED_PATHS = ['__v', 'updatedAt', 'createdAt'];
+// Never copied into the audit trail
+const REDACTED_PATHS = ['password', 'upvoters', 'keyHash', 'previousKeyHash'];
+
+// Snapshots are JSON round-tripped before flattening, so only plain objects remain
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Helper: { a: { b: 1 } } → { 'a.b': 1 }; arrays are kept whole
+const flatten = (value, prefix = '', out = {}) => {
+    if (isPlainObject(value) && (prefix === '' || Object.keys(value).length)) {
+        Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, out));
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+const isHidden = (path) => [...IGNORED_PATHS, ...REDACTED_PATHS]
+    .some(p => path === p || path.startsWith(`${p}.`));
+
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+class AuditService {
+    /**
+     * Plain, depopulated copy of a document to diff against later
+     */
+    static snapshot(doc) {
+        if (!doc) return null;
+        return typeof doc.toObject === 'function'
+            ? doc.toObject({ depopulate: true, virtuals: false, getters: false })
+            : doc;
+    }
+
+    /**
+     * Field-level differences between two snapshots
+     * @returns {Array<{path, before, after}>}
+     */
+    static diff(before, after) {
+        // JSON round trip so ids and dates compare (and are stored) the same way on both sides
+        const a = flatten(JSON.parse(JSON.stringify(AuditService.snapshot(before) || {})));
+        const b = flatten(JSON.parse(JSON.stringify(AuditService.snapshot(after) || {})));
+
+        return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .filter(path => !isHidden(path) && comparable(a[path]) !== comparable(b[path]))
+            .sort()
+            .map(path => ({ path, before: a[path], after: b[path] }));
+    }
+
+    /**
+     * Append an audit entry. Failures are logged, never thrown, so auditing cannot break a request.
+     * @param {Object|null} req - Express request (null for background jobs)
+     * @param {String} action - e.g. 'issue.update'
+     * @param {Object} entry - { resourceType, resourceId, before, after, metadata }
+     */
+    static async record(req, action, { resourceType, resourceId, before = null, after = null, metadata } = {}) {
+        try {
+            const user = req?.user;
+            return await AuditLog.create({
+                actor: user?._id,
+                actorRole: user ? user.role : 'system',
+                action,
+                resourceType,
+                resourceId: resourceId || after?._id || before?._id,
+                changes: AuditService.diff(before, after),
+                metadata,
+                ip: req?.ip,
+                userAgent: req?.get?.('User-Agent'),
+                requestId: req?.id
+            });
+        } catch (error) {
+            console.error(`⚠️ Audit log write failed (${action}):`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = AuditService;
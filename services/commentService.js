@@ -0,0 +1,279 @@
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+const NotificationService = require('./notificationService');
+const AccessPolicy = require('./accessPolicy');
+
+// Roles that can read and write internal notes
+const STAFF_ROLES = ['officer', 'admin'];
+
+// "@jane.doe" matches the officer whose email starts with "jane.doe@"; a full "@jane.doe@city.gov" also works
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const issueLink = (issue, comment) => ({
+    issueId: issue._id,
+    commentId: comment._id,
+    url: `/issues/${issue._id}#comment-${comment._id}`
+});
+
+class CommentService {
+    static canSeeInternal(user) {
+        return STAFF_ROLES.includes(user.role);
+    }
+
+    /**
+     * Filter for the comments of an issue the user is allowed to read
+     */
+    static visibilityFilter(issueId, user) {
+        const filter = { issue: issueId };
+        if (!CommentService.canSeeInternal(user)) filter.visibility = 'public';
+        return filter;
+    }
+
+    /**
+     * Resolve @mentions in a comment to officer/admin ids
+     */
+    static async resolveMentions(text) {
+        const handles = [...new Set([...(text || '').matchAll(MENTION_PATTERN)]
+            .map(match => match[1].replace(/\.+$/, '').toLowerCase()))];
+        if (!handles.length) return [];
+
+        const emails = handles.filter(handle => handle.includes('@'));
+        const prefixes = handles.filter(handle => !handle.includes('@'));
+        const or = [];
+        if (emails.length) or.push({ email: { $in: emails } });
+        if (prefixes.length) {
+            or.push({ email: { $regex: `^(${prefixes.map(escapeRegex).join('|')})@`, $options: 'i' } });
+        }
+
+        const users = await User.find({ role: { $in: STAFF_ROLES }, $or: or }).select('_id');
+        return users.map(user => user._id);
+    }
+
+    /**
+     * Comments of an issue as a reply tree, oldest first.
+     * Deleted comments that still have replies are kept as placeholders.
+     */
+    static async getThread(issueId, user) {
+        const comments = await Comment.find(CommentService.visibilityFilter(issueId, user))
+            .sort({ createdAt: 1 })
+            .populate('author', 'name role')
+            .populate('mentions', 'name');
+
+        const nodes = new Map(comments.map(comment => [
+            comment._id.toString(),
+            comment.deletedAt
+                ? { _id: comment._id, parent: comment.parent, deleted: true, createdAt: comment.createdAt, replies: [] }
+                : { ...comment.toObject(), replies: [] }
+        ]));
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.parent && nodes.get(node.parent.toString());
+            (parent ? parent.replies : roots).push(node);
+        });
+
+        return { comments: roots, total: comments.filter(c => !c.deletedAt).length };
+    }
+
+    /**
+     * Public comments in the shape issues embedded before the comments collection existed
+     * ({ _id, text, user, timestamp }). Deprecated: kept for clients still reading `issue.comments`;
+     * the thread is served by GET /api/issues/:id/comments.
+     */
+    static async getLegacyComments(issueId) {
+        const comments = await Comment.find({ issue: issueId, visibility: 'public', deletedAt: null })
+            .sort({ createdAt: 1 })
+            .populate('author', 'name role');
+
+        return comments.map(comment => ({
+            _id: comment._id,
+            text: comment.text,
+            user: comment.author,
+            timestamp: comment.createdAt
+        }));
+    }
+
+    /**
+     * Post a comment or reply on an issue, then notify mentioned staff and (for public comments) the reporter
+     * @param {Object} options - { text, visibility: 'public' | 'internal', parent: comment id }
+     */
+    static async addComment(issue, user, { text, visibility = 'public', parent } = {}) {
+        if (!text || !text.trim()) {
+            throw fail(400, 'Comment text is required');
+        }
+        if (!['public', 'internal'].includes(visibility)) {
+            throw fail(400, "Visibility must be 'public' or 'internal'");
+        }
+        if (visibility === 'internal' && !CommentService.canSeeInternal(user)) {
+            throw fail(403, 'Only officers and admins can post internal notes');
+        }
+
+        let parentComment = null;
+        if (parent) {
+            parentComment = await Comment.findOne({ _id: parent, ...CommentService.visibilityFilter(issue._id, user) });
+            if (!parentComment || parentComment.deletedAt) {
+                throw fail(404, 'Parent comment not found');
+            }
+            // A reply to an internal note would otherwise expose it to citizens
+            if (parentComment.visibility === 'internal' && visibility !== 'internal') {
+                throw fail(400, 'Replies to internal notes must also be internal');
+            }
+        }
+
+        const comment = await Comment.create({
+            issue: issue._id,
+            author: user._id,
+            parent: parentComment ? parentComment._id : null,
+            text: text.trim(),
+            visibility,
+            mentions: await CommentService.resolveMentions(text)
+        });
+
+        if (visibility === 'public') await CommentService.syncSearchText(issue._id);
+        await CommentService.notifyMentions(issue, comment, user, comment.mentions);
+
+        const reporterId = issue.reportedBy._id || issue.reportedBy;
+        if (visibility === 'public' && reporterId.toString() !== user._id.toString()) {
+            await NotificationService.createNotification(
+                reporterId,
+                'COMMENT_ADDED',
+                'New Comment on Your Issue',
+                `${user.name} commented on "${issue.title}": ${comment.text}`.slice(0, 500),
+                issueLink(issue, comment)
+            );
+        }
+
+        return comment;
+    }
+
+    /**
+     * Edit the text of your own comment; only newly added mentions are notified
+     */
+    static async editComment(issue, comment, user, text) {
+        await AccessPolicy.enforce(user, 'comment:edit', { comment });
+        if (comment.deletedAt) {
+            throw fail(400, 'Deleted comments cannot be edited');
+        }
+        if (!text || !text.trim()) {
+            throw fail(400, 'Comment text is required');
+        }
+
+        const known = new Set(comment.mentions.map(id => id.toString()));
+        const mentions = await CommentService.resolveMentions(text);
+
+        comment.text = text.trim();
+        comment.mentions = mentions;
+        comment.editedAt = new Date();
+        await comment.save();
+        if (comment.visibility === 'public') await CommentService.syncSearchText(comment.issue);
+
+        await CommentService.notifyMentions(issue, comment, user, mentions.filter(id => !known.has(id.toString())));
+        return comment;
+    }
+
+    /**
+     * Authors delete their own comments, admins delete any.
+     * A comment with replies is blanked instead of removed so the thread stays intact.
+     * @returns {Promise<Boolean>} true when the comment was removed outright
+     */
+    static async deleteComment(comment, user) {
+        await AccessPolicy.enforce(user, 'comment:delete', { comment });
+
+        const hasReplies = await Comment.exists({ parent: comment._id });
+        if (!hasReplies) {
+            await comment.deleteOne();
+        } else {
+            comment.text = undefined;
+            comment.mentions = [];
+            comment.deletedAt = new Date();
+            await comment.save();
+        }
+
+        if (comment.visibility === 'public') await CommentService.syncSearchText(comment.issue);
+        return !hasReplies;
+    }
+
+    /**
+     * Copy the issue's public comment texts onto it for full-text search.
+     * Internal notes stay out so search highlights never reveal them to citizens.
+     */
+    static async syncSearchText(issueId) {
+        const comments = await Comment.find({ issue: issueId, visibility: 'public', deletedAt: null })
+            .sort({ createdAt: 1 })
+            .select('text');
+        await Issue.updateOne({ _id: issueId }, { $set: { commentText: comments.map(c => c.text) } });
+    }
+
+    /**
+     * Move comments still embedded in issue documents (from before the comments collection existed)
+     * into the collection, then rebuild the text index on the new search field. Idempotent; run at startup.
+     * @returns {Promise<Number>} comments migrated
+     */
+    static async migrateEmbeddedComments() {
+        let migrated = 0;
+        // Raw collection access: the path is gone from the schema and soft-deleted issues are included
+        const cursor = Issue.collection.find({ 'comments.0': { $exists: true } }, { projection: { comments: 1 } });
+        for await (const issue of cursor) {
+            // Migrated comments keep the embedded _id, so a run interrupted before the $unset
+            // finds them already there next time instead of inserting them twice
+            const operations = issue.comments
+                .filter(c => c._id && c.user && c.text)
+                .map(c => ({
+                    updateOne: {
+                        filter: { _id: c._id },
+                        update: {
+                            $setOnInsert: {
+                                issue: issue._id,
+                                author: c.user,
+                                text: String(c.text).slice(0, 2000),
+                                visibility: 'public',
+                                parent: null,
+                                mentions: [],
+                                createdAt: c.timestamp || new Date(),
+                                updatedAt: c.timestamp || new Date()
+                            }
+                        },
+                        upsert: true
+                    }
+                }));
+            if (operations.length) {
+                const result = await Comment.collection.bulkWrite(operations, { ordered: false });
+                migrated += result.upsertedCount;
+            }
+            await Issue.collection.updateOne({ _id: issue._id }, { $unset: { comments: '' } });
+            await CommentService.syncSearchText(issue._id);
+        }
+
+        // The old text index covered 'comments.text'; a collection can only hold one text index
+        const indexes = await Issue.collection.indexes();
+        const legacy = indexes.find(index => index.name === 'issue_text_search' && index.weights?.['comments.text']);
+        if (legacy) {
+            await Issue.collection.dropIndex(legacy.name);
+            await Issue.createIndexes();
+        }
+
+        return migrated;
+    }
+
+    static async notifyMentions(issue, comment, author, userIds) {
+        const recipients = userIds.filter(id => id.toString() !== author._id.toString());
+        await Promise.all(recipients.map(userId => NotificationService.createNotification(
+            userId,
+            'COMMENT_MENTION',
+            'You Were Mentioned',
+            `${author.name} mentioned you ${comment.visibility === 'internal' ? 'in an internal note ' : ''}on "${issue.title}": ${comment.text}`.slice(0, 500),
+            issueLink(issue, comment)
+        )));
+    }
+}
+
+module.exports = CommentService;
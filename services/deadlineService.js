@@ -0,0 +1,117 @@
+const Assignment = require('../models/Assignment');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const EmailService = require('./emailService');
+
+// How long before the due date officers get a reminder
+const REMINDER_LEAD_HOURS = parseFloat(process.env.ASSIGNMENT_REMINDER_HOURS) || 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_STATUSES = ['active', 'accepted'];
+
+class DeadlineService {
+    /**
+     * Remind officers about assignments due within the lead time.
+     * The reminder flag is claimed with a conditional update so each reminder is sent once.
+     */
+    static async sendReminders() {
+        const now = new Date();
+        const dueSoon = await Assignment.find({
+            status: { $in: OPEN_STATUSES },
+            dueAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_HOURS * HOUR_MS) },
+            reminderSentAt: null
+        }).populate('issue', 'title').populate('assignedTo', 'name email');
+
+        let sent = 0;
+        for (const assignment of dueSoon) {
+            const result = await Assignment.updateOne(
+                { _id: assignment._id, reminderSentAt: null },
+                {
+                    $set: { reminderSentAt: now },
+                    $push: { history: { action: 'reminded', officer: assignment.assignedTo?._id, notes: `Due ${assignment.dueAt.toISOString()}` } }
+                }
+            );
+            if (!result.modifiedCount || !assignment.assignedTo) continue;
+
+            const hoursLeft = Math.max(Math.round((assignment.dueAt - now) / HOUR_MS), 1);
+            await NotificationService.createNotification(
+                assignment.assignedTo._id,
+                'ASSIGNMENT_DUE_SOON',
+                'Assignment Due Soon',
+                `Your assignment for "${assignment.issue?.title || 'an issue'}" is due in about ${hoursLeft} hour(s)`,
+                { assignmentId: assignment._id, issueId: assignment.issue?._id, url: `/assignments/${assignment._id}` }
+            );
+            await EmailService.sendDeadlineReminder(assignment.assignedTo, assignment, assignment.issue);
+            sent++;
+        }
+
+        return sent;
+    }
+
+    /**
+     * Flag assignments past their due date and escalate to the officer and the assigning admin
+     * (all admins when a routing rule made the assignment)
+     */
+    static async escalateOverdue() {
+        const now = new Date();
+        const overdue = await Assignment.find({
+            status: { $in: OPEN_STATUSES },
+            dueAt: { $lte: now },
+            overdue: { $ne: true }
+        }).populate('issue', 'title').populate('assignedTo', 'name email').populate('assignedBy', 'name email');
+
+        let admins = null;
+        let escalated = 0;
+
+        for (const assignment of overdue) {
+            const result = await Assignment.updateOne(
+                { _id: assignment._id, overdue: { $ne: true } },
+                {
+                    $set: { overdue: true, overdueAt: now },
+                    $push: { history: { action: 'overdue', officer: assignment.assignedTo?._id, notes: `Missed due date ${assignment.dueAt.toISOString()}` } }
+                }
+            );
+            if (!result.modifiedCount) continue;
+
+            const title = assignment.issue?.title || 'an issue';
+            const data = { assignmentId: assignment._id, issueId: assignment.issue?._id, url: `/assignments/${assignment._id}` };
+
+            if (assignment.assignedTo) {
+                await NotificationService.createNotification(
+                    assignment.assignedTo._id,
+                    'ASSIGNMENT_OVERDUE',
+                    'Assignment Overdue',
+                    `Your assignment for "${title}" is past its deadline`,
+                    data
+                );
+            }
+
+            if (!assignment.assignedBy && !admins) {
+                admins = await User.find({ role: 'admin' }).select('name email');
+            }
+            const recipients = assignment.assignedBy ? [assignment.assignedBy] : admins;
+
+            for (const recipient of recipients) {
+                await NotificationService.createNotification(
+                    recipient._id,
+                    'ASSIGNMENT_OVERDUE',
+                    'Assignment Overdue',
+                    `${assignment.assignedTo?.name || 'The assigned officer'} missed the deadline for "${title}"`,
+                    data
+                );
+                await EmailService.sendOverdueEscalation(recipient, assignment.assignedTo, assignment, assignment.issue);
+            }
+            escalated++;
+        }
+
+        return escalated;
+    }
+
+    static async checkDeadlines() {
+        const reminded = await DeadlineService.sendReminders();
+        const escalated = await DeadlineService.escalateOverdue();
+        return { reminded, escalated };
+    }
+}
+
+module.exports = DeadlineService;
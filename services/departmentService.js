@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const User = require('../models/User');
+
+const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Helper: the requested category filter as a list (null when unfiltered)
+const requestedCategories = (category) => {
+    if (category === undefined) return null;
+    return category.$in || [category];
+};
+
+class DepartmentService {
+    /**
+     * Active department an officer belongs to, or null.
+     * Officers without a department are not restricted by category.
+     */
+    static async getOfficerDepartment(userId) {
+        return Department.findOne({ isActive: true, members: userId });
+    }
+
+    /**
+     * Check that an officer's department covers a category
+     * @returns {Promise<null|{statusCode: Number, message: String}>} null when allowed
+     */
+    static async checkCoverage(officerId, category) {
+        const department = await DepartmentService.getOfficerDepartment(officerId);
+        if (!department || department.categories.includes(category)) return null;
+
+        return {
+            statusCode: 400,
+            message: `Officer's department "${department.name}" does not handle '${category}' issues`
+        };
+    }
+
+    /**
+     * Drop officers whose department does not cover a category
+     * @returns {Promise<Array>} the eligible ids, in the order given
+     */
+    static async filterEligibleOfficers(officerIds, category) {
+        const departments = await Department.find({ isActive: true, members: { $in: officerIds } })
+            .select('members categories');
+
+        const blocked = new Set();
+        departments
+            .filter(d => !d.categories.includes(category))
+            .forEach(d => d.members.forEach(id => blocked.add(id.toString())));
+
+        return officerIds.filter(id => !blocked.has(id.toString()));
+    }
+
+    /**
+     * Restrict an issue filter to a department's categories, intersecting any category filter already set.
+     * Officers are always held to their own department; admins may pass ?department=<id>.
+     * @returns {Promise<Object|null>} the department applied, if any
+     */
+    static async scopeIssueFilter(filter, user, departmentId) {
+        let department = null;
+
+        if (user.role === 'officer') {
+            department = await DepartmentService.getOfficerDepartment(user._id);
+        } else if (departmentId) {
+            if (!mongoose.Types.ObjectId.isValid(departmentId)) throw fail(400, 'Invalid department');
+            department = await Department.findById(departmentId);
+            if (!department) throw fail(404, 'Department not found');
+        }
+        if (!department) return null;
+
+        const requested = requestedCategories(filter.category);
+        const allowed = requested
+            ? requested.filter(c => department.categories.includes(c))
+            : department.categories;
+        filter.category = { $in: allowed };
+
+        return department;
+    }
+
+    /**
+     * Validate head/members before saving a department.
+     * Members must be officers outside any other department; the head is always a member.
+     * @returns {Promise<Array>} the normalised member id list
+     */
+    static async validateMembership({ head, members = [] }, departmentId = null) {
+        const ids = [...new Set([...members, ...(head ? [head] : [])].map(id => id.toString()))];
+
+        if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw fail(400, 'Invalid member id');
+        }
+
+        const officers = await User.find({ _id: { $in: ids }, role: 'officer', isActive: { $ne: false } }).select('_id');
+        if (officers.length !== ids.length) {
+            throw fail(400, 'Department members and head must be existing, active officers');
+        }
+
+        const taken = await Department.findOne({
+            _id: { $ne: departmentId },
+            members: { $in: ids }
+        }).select('name members');
+        if (taken) {
+            const clash = taken.members.find(id => ids.includes(id.toString()));
+            throw fail(400, `Officer ${clash} already belongs to department "${taken.name}"`);
+        }
+
+        return ids;
+    }
+}
+
+module.exports = DepartmentService;
@@ -0,0 +1,147 @@
+const Issue = require('../models/Issue');
+const Assignment = require('../models/Assignment');
+const Comment = require('../models/Comment');
+const NotificationService = require('./notificationService');
+const CommentService = require('./commentService');
+const IssueWorkflow = require('./issueWorkflow');
+const { haversineDistance } = require('../utils/geo');
+
+// Search radius and minimum text similarity (0..1) for duplicate candidates
+const DUPLICATE_RADIUS = parseInt(process.env.DUPLICATE_RADIUS_METERS) || 100;
+const SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.3;
+const MAX_CANDIDATES = 5;
+
+const OPEN_STATUSES = ['open', 'assigned', 'in-progress'];
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'is', 'are', 'was',
+    'were', 'it', 'this', 'that', 'there', 'near', 'with', 'by', 'from', 'be', 'has', 'have', 'our', 'my'
+]);
+
+const tokenize = (text = '') => new Set(
+    text.toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+);
+
+// Jaccard similarity of the significant words in two texts
+const textSimilarity = (a, b) => {
+    const tokensA = tokenize(a);
+    const tokensB = tokenize(b);
+    if (!tokensA.size || !tokensB.size) return 0;
+
+    let shared = 0;
+    tokensA.forEach(token => {
+        if (tokensB.has(token)) shared += 1;
+    });
+    return shared / (tokensA.size + tokensB.size - shared);
+};
+
+class DuplicateService {
+    /**
+     * Find open issues in the same category near a location whose text is similar
+     * @param {Object} candidate - { title, description, category, location, excludeId }
+     * @returns {Promise<Array>} Ranked list of { issue, similarity, distance }
+     */
+    static async findCandidates({ title, description, category, location, excludeId }) {
+        if (!category || !location?.coordinates?.length) return [];
+
+        const [lng, lat] = location.coordinates.map(Number);
+        const query = {
+            category,
+            status: { $in: OPEN_STATUSES },
+            // Reports awaiting email verification are not suggested to other citizens
+            pendingVerification: { $ne: true },
+            location: {
+                $near: {
+                    $geometry: { type: 'Point', coordinates: [lng, lat] },
+                    $maxDistance: DUPLICATE_RADIUS
+                }
+            }
+        };
+        if (excludeId) query._id = { $ne: excludeId };
+
+        const nearby = await Issue.find(query)
+            .select('title description category status priority location images reportedBy createdAt')
+            .limit(50);
+
+        const text = `${title || ''} ${description || ''}`;
+
+        return nearby
+            .map(issue => ({
+                issue,
+                similarity: Number(textSimilarity(text, `${issue.title} ${issue.description}`).toFixed(2)),
+                distance: Math.round(haversineDistance([lng, lat], issue.location.coordinates))
+            }))
+            .filter(match => match.similarity >= SIMILARITY_THRESHOLD)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, MAX_CANDIDATES);
+    }
+
+    /**
+     * Fold a duplicate issue into a canonical one and close the duplicate
+     * @param {Object} canonical - Issue document that survives
+     * @param {Object} duplicate - Issue document to be closed
+     * @param {Object} admin - User performing the merge
+     */
+    static async mergeIssues(canonical, duplicate, admin) {
+        // 0. Close the duplicate in memory first so an illegal transition aborts the merge early
+        IssueWorkflow.transition(duplicate, 'closed', admin, {
+            reason: `Duplicate of issue #${canonical._id}`
+        });
+
+        // 1. Carry over images (skip ones already present)
+        const knownImages = new Set(canonical.images.map(img => img.url));
+        duplicate.images.forEach(img => {
+            if (!knownImages.has(img.url)) canonical.images.push({ url: img.url, publicId: img.publicId });
+        });
+
+        // 2. Comments move with their threads in step 6
+
+        // 3. Reporters of the duplicate become followers of the canonical issue
+        const followers = new Set(canonical.followers.map(id => id.toString()));
+        [duplicate.reportedBy, ...duplicate.followers].forEach(userId => {
+            const id = userId.toString();
+            if (id !== canonical.reportedBy.toString() && !followers.has(id)) {
+                followers.add(id);
+                canonical.followers.push(userId);
+            }
+        });
+
+        await canonical.save();
+
+        // 4. Save the closed duplicate with a link to the original
+        duplicate.duplicateOf = canonical._id;
+        await duplicate.save();
+
+        // 5. Any work on the duplicate now happens on the canonical issue
+        await Assignment.updateMany(
+            { issue: duplicate._id, status: { $in: ['active', 'accepted'] } },
+            { status: 'cancelled' }
+        );
+
+        // 6. Discussion threads move with their replies intact; both issues get a note about the merge
+        await Comment.updateMany({ issue: duplicate._id }, { $set: { issue: canonical._id } });
+        await Comment.create([
+            { issue: canonical._id, author: admin._id, text: `Merged duplicate issue #${duplicate._id} into this issue` },
+            { issue: duplicate._id, author: admin._id, text: `Closed as duplicate of issue #${canonical._id}` }
+        ]);
+        await Promise.all([
+            CommentService.syncSearchText(canonical._id),
+            CommentService.syncSearchText(duplicate._id)
+        ]);
+
+        await NotificationService.createNotification(
+            duplicate.reportedBy,
+            'SYSTEM_ALERT',
+            'Issue Merged',
+            `Your issue "${duplicate.title}" was merged into an existing report. You will receive updates on it.`,
+            { issueId: canonical._id, url: `/issues/${canonical._id}` }
+        );
+
+        return { canonical, duplicate };
+    }
+}
+
+module.exports = DuplicateService;
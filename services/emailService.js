@@ -192,6 +192,191 @@ class EmailService {
       if (error.response) console.error(error.response.body);
     }
   }
+
+  static async sendDeadlineReminder(officer, assignment, issue) {
+    ensureApiKey();
+    if (!officer?.email) {
+      console.warn('⚠️ Cannot send deadline reminder: Officer email is missing');
+      return;
+    }
+    const msg = {
+      to: officer.email,
+      from: process.env.FROM_EMAIL,
+      subject: `⏰ Assignment Due Soon: ${issue?.title || 'Assigned issue'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+          <div style="background: #f59e0b; padding: 20px; text-align: center;">
+            <h2 style="color: white; margin: 0;">Assignment Due Soon ⏰</h2>
+          </div>
+          <div style="padding: 20px;">
+            <p>Hello ${officer.name},</p>
+            <p>The following assignment is approaching its deadline.</p>
+            <div style="background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Title:</strong> ${issue?.title || 'N/A'}</p>
+              <p><strong>Priority:</strong> ${(assignment.priority || 'medium').toUpperCase()}</p>
+              <p><strong>Due:</strong> ${assignment.dueAt ? new Date(assignment.dueAt).toLocaleString() : 'N/A'}</p>
+            </div>
+            <div style="text-align: center; margin-top: 30px; margin-bottom: 10px;">
+              <a href="${process.env.APP_URL}/assignments/${assignment._id}" style="background: #f59e0b; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Open Assignment</a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+    try {
+      await sgMail.send(msg);
+      console.log(`✅ Deadline reminder sent to ${officer.email}`);
+    } catch (error) {
+      console.error('❌ Deadline reminder email failed:', error.message);
+    }
+  }
+
+  static async sendOverdueEscalation(recipient, officer, assignment, issue) {
+    ensureApiKey();
+    if (!recipient?.email) {
+      console.warn('⚠️ Cannot send overdue escalation: Recipient email is missing');
+      return;
+    }
+    const msg = {
+      to: recipient.email,
+      from: process.env.FROM_EMAIL,
+      subject: `🚨 Assignment Overdue: ${issue?.title || 'Assigned issue'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+          <div style="background: #dc2626; padding: 20px; text-align: center;">
+            <h2 style="color: white; margin: 0;">Assignment Overdue 🚨</h2>
+          </div>
+          <div style="padding: 20px;">
+            <p>Hello ${recipient.name},</p>
+            <p>An assignment has passed its deadline without being completed.</p>
+            <div style="background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Title:</strong> ${issue?.title || 'N/A'}</p>
+              <p><strong>Officer:</strong> ${officer?.name || 'N/A'} (${officer?.email || 'N/A'})</p>
+              <p><strong>Status:</strong> <span style="text-transform: capitalize;">${assignment.status}</span></p>
+              <p><strong>Was due:</strong> ${assignment.dueAt ? new Date(assignment.dueAt).toLocaleString() : 'N/A'}</p>
+            </div>
+            <div style="text-align: center; margin-top: 30px; margin-bottom: 10px;">
+              <a href="${process.env.APP_URL}/assignments/${assignment._id}" style="background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Review Assignment</a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+    try {
+      await sgMail.send(msg);
+      console.log(`✅ Overdue escalation sent to ${recipient.email}`);
+    } catch (error) {
+      console.error('❌ Overdue escalation email failed:', error.message);
+    }
+  }
+
+  static async sendEmailVerification(user, token, expiresInHours) {
+    ensureApiKey();
+    if (!user?.email) {
+      console.warn('⚠️ Cannot send verification email: User email is missing');
+      return;
+    }
+    const link = `${process.env.APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    const msg = {
+      to: user.email,
+      from: process.env.FROM_EMAIL,
+      subject: '📧 Verify your CityPulse email address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+          <div style="background: #2563eb; padding: 20px; text-align: center;">
+            <h2 style="color: white; margin: 0;">Verify Your Email 📧</h2>
+          </div>
+          <div style="padding: 20px;">
+            <p>Hello ${user.name},</p>
+            <p>Please confirm this is your email address. Issues you report stay private until you do.</p>
+            <div style="text-align: center; margin-top: 30px; margin-bottom: 10px;">
+              <a href="${link}" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Verify Email</a>
+            </div>
+            <p style="color: #6b7280; font-size: 13px;">The link expires in ${expiresInHours} hour(s) and can be used once.</p>
+          </div>
+        </div>
+      `
+    };
+    try {
+      await sgMail.send(msg);
+      console.log(`✅ Verification email sent to ${user.email}`);
+    } catch (error) {
+      console.error('❌ Verification email failed:', error.message);
+    }
+  }
+
+  static async sendPasswordReset(user, token, expiresInMinutes) {
+    ensureApiKey();
+    if (!user?.email) {
+      console.warn('⚠️ Cannot send password reset: User email is missing');
+      return;
+    }
+    const link = `${process.env.APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    const msg = {
+      to: user.email,
+      from: process.env.FROM_EMAIL,
+      subject: '🔑 Reset your CityPulse password',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+          <div style="background: #4b5563; padding: 20px; text-align: center;">
+            <h2 style="color: white; margin: 0;">Password Reset 🔑</h2>
+          </div>
+          <div style="padding: 20px;">
+            <p>Hello ${user.name},</p>
+            <p>We received a request to reset your password. If it was not you, ignore this email; your password stays the same.</p>
+            <div style="text-align: center; margin-top: 30px; margin-bottom: 10px;">
+              <a href="${link}" style="background: #4b5563; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Choose a New Password</a>
+            </div>
+            <p style="color: #6b7280; font-size: 13px;">The link expires in ${expiresInMinutes} minute(s) and can be used once.</p>
+          </div>
+        </div>
+      `
+    };
+    try {
+      await sgMail.send(msg);
+      console.log(`✅ Password reset email sent to ${user.email}`);
+    } catch (error) {
+      console.error('❌ Password reset email failed:', error.message);
+    }
+  }
+
+  static async sendLockoutAlert(user, lockedUntil, ip) {
+    ensureApiKey();
+    if (!user?.email) {
+      console.warn('⚠️ Cannot send lockout alert: User email is missing');
+      return;
+    }
+    const msg = {
+      to: user.email,
+      from: process.env.FROM_EMAIL,
+      subject: '🔒 Your CityPulse account was temporarily locked',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 12px; overflow: hidden;">
+          <div style="background: #b91c1c; padding: 20px; text-align: center;">
+            <h2 style="color: white; margin: 0;">Account Locked 🔒</h2>
+          </div>
+          <div style="padding: 20px;">
+            <p>Hello ${user.name},</p>
+            <p>There were too many failed sign-in attempts on your account, so it has been locked for a while.</p>
+            <div style="background: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Locked until:</strong> ${new Date(lockedUntil).toLocaleString()}</p>
+              <p><strong>Last attempt from IP:</strong> ${ip || 'Unknown'}</p>
+            </div>
+            <p>If this was not you, reset your password once the lock expires, or contact an administrator to unlock your account.</p>
+            <div style="text-align: center; margin-top: 30px; margin-bottom: 10px;">
+              <a href="${process.env.APP_URL}/forgot-password" style="background: #b91c1c; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: bold;">Reset Password</a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+    try {
+      await sgMail.send(msg);
+      console.log(`✅ Lockout alert sent to ${user.email}`);
+    } catch (error) {
+      console.error('❌ Lockout alert email failed:', error.message);
+    }
+  }
 }
 
 module.exports = EmailService;
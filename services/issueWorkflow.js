@@ -0,0 +1,143 @@
+// Declared issue lifecycle: open → assigned → in-progress → resolved → closed
+// Each edge lists the roles allowed to take it and the fields it requires.
+// 'system' is the actor role used by background jobs and routing rules.
+// Citizens may only act on issues they reported (confirming or disputing a resolution).
+const TRANSITIONS = {
+    open: {
+        assigned: { roles: ['admin', 'system'], requires: ['assignedTo'] },
+        closed: { roles: ['admin'], requires: ['reason'] }
+    },
+    assigned: {
+        'in-progress': { roles: ['officer', 'admin'] },
+        open: { roles: ['admin'] },
+        closed: { roles: ['admin'], requires: ['reason'] }
+    },
+    'in-progress': {
+        resolved: { roles: ['officer', 'admin'] },
+        assigned: { roles: ['admin'], requires: ['assignedTo'] },
+        open: { roles: ['admin'] },
+        closed: { roles: ['admin'], requires: ['reason'] }
+    },
+    resolved: {
+        closed: { roles: ['admin', 'system', 'citizen'] },
+        open: { roles: ['citizen', 'admin'], requires: ['reason'] },
+        'in-progress': { roles: ['officer', 'admin'], requires: ['reason'] }
+    },
+    closed: {
+        open: { roles: ['admin'], requires: ['reason'] }
+    }
+};
+
+const getActorRole = (actor) => (actor ? actor.role : 'system');
+
+class IssueWorkflow {
+    /**
+     * List the statuses an actor may move an issue to from its current status
+     * @param {Object} issue - Issue document
+     * @param {Object|null} actor - User performing the change (null for system)
+     */
+    static getAllowedTransitions(issue, actor) {
+        const role = getActorRole(actor);
+        return Object.entries(TRANSITIONS[issue.status] || {})
+            .filter(([, rule]) => rule.roles.includes(role))
+            .map(([to, rule]) => ({ to, requires: rule.requires || [] }));
+    }
+
+    /**
+     * Check a status change against the transition graph
+     * @returns {null|{statusCode: Number, message: String}} null when allowed
+     */
+    static validateTransition(issue, to, actor, { reason } = {}) {
+        const from = issue.status;
+        if (from === to) return null;
+
+        const rule = TRANSITIONS[from]?.[to];
+        if (!rule) {
+            const allowed = Object.keys(TRANSITIONS[from] || {});
+            return {
+                statusCode: 409,
+                message: `Illegal status transition from '${from}' to '${to}'. Allowed: ${allowed.join(', ') || 'none'}`
+            };
+        }
+
+        const role = getActorRole(actor);
+        if (!rule.roles.includes(role)) {
+            return {
+                statusCode: 409,
+                message: `Role '${role}' cannot move an issue from '${from}' to '${to}'`
+            };
+        }
+
+        if (role === 'officer' && issue.assignedTo && issue.assignedTo.toString() !== actor._id.toString()) {
+            return {
+                statusCode: 403,
+                message: 'Only the assigned officer can change the status of this issue'
+            };
+        }
+
+        const reporterId = issue.reportedBy?._id || issue.reportedBy;
+        if (role === 'citizen' && (!reporterId || reporterId.toString() !== actor._id.toString())) {
+            return {
+                statusCode: 403,
+                message: 'Only the citizen who reported this issue can change its status'
+            };
+        }
+
+        const missing = (rule.requires || []).filter(field => (
+            field === 'reason' ? !reason || !reason.trim() : !issue[field]
+        ));
+        if (missing.length) {
+            return {
+                statusCode: 409,
+                message: `Transition from '${from}' to '${to}' requires: ${missing.join(', ')}`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Apply an already validated status change and record it in statusHistory
+     */
+    static applyTransition(issue, to, actor, { reason, resolutionTime } = {}) {
+        const from = issue.status;
+        if (from === to) return issue;
+
+        issue.status = to;
+        issue.statusHistory.push({
+            from,
+            to,
+            actor: actor ? actor._id : null,
+            actorRole: getActorRole(actor),
+            reason
+        });
+
+        // Start of the reporter's confirmation window
+        if (to === 'resolved') issue.resolvedAt = new Date();
+
+        // Calculate resolution time when the issue is first resolved
+        if (to === 'resolved' && !issue.resolutionTime) {
+            const diffInHours = Math.round((new Date() - issue.createdAt) / (1000 * 60 * 60));
+            issue.resolutionTime = resolutionTime || diffInHours;
+        }
+
+        return issue;
+    }
+
+    /**
+     * Validate and apply in one step; throws an Error carrying statusCode when illegal
+     */
+    static transition(issue, to, actor, options = {}) {
+        const failure = IssueWorkflow.validateTransition(issue, to, actor, options);
+        if (failure) {
+            const error = new Error(failure.message);
+            error.statusCode = failure.statusCode;
+            throw error;
+        }
+        return IssueWorkflow.applyTransition(issue, to, actor, options);
+    }
+}
+
+IssueWorkflow.TRANSITIONS = TRANSITIONS;
+
+module.exports = IssueWorkflow;
@@ -0,0 +1,136 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const EmailService = require('./emailService');
+
+// Failed attempts older than this no longer slow anyone down
+const FAILURE_WINDOW_MINUTES = parseFloat(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+// Free failures before the delay starts; the delay then doubles with every further failure
+const ACCOUNT_FREE_FAILURES = parseInt(process.env.LOGIN_ACCOUNT_FREE_FAILURES) || 3;
+const IP_FREE_FAILURES = parseInt(process.env.LOGIN_IP_FREE_FAILURES) || 10;
+const BASE_DELAY_SECONDS = parseFloat(process.env.LOGIN_BASE_DELAY_SECONDS) || 2;
+const MAX_DELAY_SECONDS = parseFloat(process.env.LOGIN_MAX_DELAY_SECONDS) || 300;
+// Consecutive failures that lock the account, and for how long
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+
+const MINUTE_MS = 60 * 1000;
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// Helper: seconds to wait after the latest of `count` recent failures
+const delayFor = (count, freeFailures) => (count < freeFailures
+    ? 0
+    : Math.min(BASE_DELAY_SECONDS * 2 ** (count - freeFailures), MAX_DELAY_SECONDS));
+
+class LoginProtectionService {
+    static async record(req, { email, user, success, reason }) {
+        try {
+            return await LoginAttempt.create({
+                email: normalizeEmail(email),
+                user: user?._id,
+                success,
+                reason,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+        } catch (error) {
+            console.error('⚠️ Login attempt could not be recorded:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Progressive throttling on recent failures for the account and for the client IP.
+     * Account failures only count since the last successful sign-in or admin unlock.
+     * @returns {Promise<Number>} seconds the client must wait (0 when it may try now)
+     */
+    static async getRetryAfter(email, ip) {
+        const now = Date.now();
+        const since = new Date(now - FAILURE_WINDOW_MINUTES * MINUTE_MS);
+        const failed = { success: false, reason: 'invalid_credentials', createdAt: { $gte: since } };
+
+        const account = normalizeEmail(email)
+            ? await User.findOne({ email }).select('failuresResetAt')
+            : null;
+        const accountSince = account?.failuresResetAt > since ? account.failuresResetAt : since;
+
+        const waitFor = async (filter, freeFailures) => {
+            const count = await LoginAttempt.countDocuments(filter);
+            const delay = delayFor(count, freeFailures);
+            if (!delay) return 0;
+
+            const latest = await LoginAttempt.findOne(filter).sort({ createdAt: -1 }).select('createdAt');
+            return Math.max(Math.ceil((latest.createdAt.getTime() + delay * 1000 - now) / 1000), 0);
+        };
+
+        const [accountWait, ipWait] = await Promise.all([
+            normalizeEmail(email)
+                ? waitFor({ ...failed, email: normalizeEmail(email), createdAt: { $gte: accountSince } }, ACCOUNT_FREE_FAILURES)
+                : 0,
+            ip ? waitFor({ ...failed, ip }, IP_FREE_FAILURES) : 0
+        ]);
+        return Math.max(accountWait, ipWait);
+    }
+
+    static isLocked(user) {
+        return Boolean(user?.lockedUntil && user.lockedUntil > new Date());
+    }
+
+    /**
+     * Count a wrong password against the account; locks it (and emails the owner) at the threshold
+     * @returns {Promise<Date|null>} lockedUntil when this failure locked the account
+     */
+    static async recordFailure(req, email, user) {
+        await LoginProtectionService.record(req, { email, user, success: false, reason: 'invalid_credentials' });
+        if (!user) return null;
+
+        const updated = await User.findByIdAndUpdate(
+            user._id,
+            { $inc: { failedLoginCount: 1 } },
+            { new: true }
+        ).select('failedLoginCount');
+        if (!updated || updated.failedLoginCount < LOCKOUT_THRESHOLD) return null;
+
+        // Only the request that reaches the threshold applies the lock and sends the alert
+        const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * MINUTE_MS);
+        const locked = await User.findOneAndUpdate(
+            { _id: user._id, failedLoginCount: { $gte: LOCKOUT_THRESHOLD } },
+            { $set: { lockedUntil, failedLoginCount: 0 } },
+            { new: true }
+        );
+        if (!locked) return null;
+
+        await EmailService.sendLockoutAlert(locked, lockedUntil, req.ip);
+        return lockedUntil;
+    }
+
+    static async recordSuccess(req, user) {
+        await LoginProtectionService.record(req, { email: user.email, user, success: true });
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { failedLoginCount: 0, lastLoginAt: new Date(), failuresResetAt: new Date() }, $unset: { lockedUntil: '' } }
+        );
+    }
+
+    /**
+     * Lift a lockout early (admin action); earlier failures stop throttling the account too
+     */
+    static async unlock(user) {
+        user.lockedUntil = undefined;
+        user.failedLoginCount = 0;
+        user.failuresResetAt = new Date();
+        return user.save();
+    }
+
+    /**
+     * The user's own recent sign-in attempts, newest first
+     */
+    static async getRecentSignIns(user, limit = 20) {
+        return LoginAttempt.find({ $or: [{ user: user._id }, { email: normalizeEmail(user.email) }] })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('success reason ip userAgent createdAt');
+    }
+}
+
+module.exports = LoginProtectionService;
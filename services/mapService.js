@@ -0,0 +1,149 @@
+const Issue = require('../models/Issue');
+const { restrictToBbox } = require('../utils/issueFilters');
+
+// Grid cells per map tile width; higher = smaller clusters
+const CELLS_PER_TILE = 8;
+// Heatmap cells are finer than cluster cells
+const HEATMAP_SUBDIVISION = 4;
+// Age (days) at which an unresolved issue reaches double heat weight
+const HEAT_AGE_CAP_DAYS = parseInt(process.env.HEATMAP_AGE_CAP_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUSES = Issue.schema.path('status').enumValues;
+const CATEGORIES = Issue.schema.path('category').enumValues;
+
+// Cell size in degrees for a web-mercator zoom level
+const getCellSize = (zoom) => 360 / (2 ** zoom) / CELLS_PER_TILE;
+
+// Cells are anchored to a global grid so clusters stay put while the map pans
+const gridCellStages = (cellSize) => [
+    {
+        $addFields: {
+            lng: { $arrayElemAt: ['$location.coordinates', 0] },
+            lat: { $arrayElemAt: ['$location.coordinates', 1] }
+        }
+    },
+    {
+        $addFields: {
+            cellX: { $floor: { $divide: [{ $add: ['$lng', 180] }, cellSize] } },
+            cellY: { $floor: { $divide: [{ $add: ['$lat', 90] }, cellSize] } }
+        }
+    }
+];
+
+// One $sum accumulator per enum value, named `${field}_${value}`
+const countBy = (field, values) => values.reduce((acc, value) => ({
+    ...acc,
+    [`${field}_${value}`]: { $sum: { $cond: [{ $eq: [`$${field}`, value] }, 1, 0] } }
+}), {});
+
+class MapService {
+    /**
+     * Aggregate issues inside a bbox into grid clusters with per-status/category counts
+     * @param {Object} filter - Attribute filter from buildIssueFilter
+     * @param {Object} bbox - Parsed bbox from parseBbox
+     * @param {Number} zoom - Map zoom level (0-22)
+     */
+    static async getClusters(filter, bbox, zoom) {
+        const cellSize = getCellSize(zoom);
+
+        const cells = await Issue.aggregate([
+            { $match: restrictToBbox({ ...filter }, bbox) },
+            ...gridCellStages(cellSize),
+            {
+                $group: {
+                    _id: { x: '$cellX', y: '$cellY' },
+                    count: { $sum: 1 },
+                    lng: { $avg: '$lng' },
+                    lat: { $avg: '$lat' },
+                    issueId: { $first: '$_id' },
+                    ...countBy('status', STATUSES),
+                    ...countBy('category', CATEGORIES)
+                }
+            },
+            { $sort: { count: -1 } }
+        ]);
+
+        return {
+            zoom,
+            cellSize,
+            total: cells.reduce((sum, cell) => sum + cell.count, 0),
+            clusters: cells.map(cell => ({
+                id: `${cell._id.x}:${cell._id.y}`,
+                center: [cell.lng, cell.lat], // centroid of member issues [lng, lat]
+                bounds: [
+                    cell._id.x * cellSize - 180,
+                    cell._id.y * cellSize - 90,
+                    (cell._id.x + 1) * cellSize - 180,
+                    (cell._id.y + 1) * cellSize - 90
+                ],
+                count: cell.count,
+                issueId: cell.count === 1 ? cell.issueId : undefined,
+                byStatus: Object.fromEntries(STATUSES.map(s => [s, cell[`status_${s}`]]).filter(([, n]) => n)),
+                byCategory: Object.fromEntries(CATEGORIES.map(c => [c, cell[`category_${c}`]]).filter(([, n]) => n))
+            }))
+        };
+    }
+
+    /**
+     * Weighted heatmap points: weight grows with priority and with how long an issue stays unresolved.
+     * Points are summed on a fine grid and normalised to an intensity of 0..1.
+     */
+    static async getHeatmap(filter, bbox, zoom) {
+        const cellSize = getCellSize(zoom) / HEATMAP_SUBDIVISION;
+        const now = new Date();
+
+        const cells = await Issue.aggregate([
+            { $match: restrictToBbox({ ...filter }, bbox) },
+            ...gridCellStages(cellSize),
+            {
+                $addFields: {
+                    ageDays: {
+                        $cond: [
+                            { $in: ['$status', ['resolved', 'closed']] },
+                            0,
+                            { $divide: [{ $subtract: [now, '$createdAt'] }, DAY_MS] }
+                        ]
+                    }
+                }
+            },
+            {
+                $addFields: {
+                    weight: {
+                        $multiply: [
+                            { $ifNull: ['$priorityRank', 2] },
+                            { $add: [1, { $divide: [{ $min: ['$ageDays', HEAT_AGE_CAP_DAYS] }, HEAT_AGE_CAP_DAYS] }] }
+                        ]
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: { x: '$cellX', y: '$cellY' },
+                    lng: { $avg: '$lng' },
+                    lat: { $avg: '$lat' },
+                    weight: { $sum: '$weight' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        const maxWeight = cells.reduce((max, cell) => Math.max(max, cell.weight), 0) || 1;
+
+        return {
+            zoom,
+            cellSize,
+            maxWeight,
+            points: cells.map(cell => ({
+                lat: cell.lat,
+                lng: cell.lng,
+                weight: cell.weight,
+                intensity: Number((cell.weight / maxWeight).toFixed(4)),
+                count: cell.count
+            }))
+        };
+    }
+}
+
+module.exports = MapService;
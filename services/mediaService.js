@@ -0,0 +1,48 @@
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary Config
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+class MediaService {
+    /**
+     * Upload multer memory files to Cloudinary
+     * @param {Array} files - req.files from the multer middleware
+     * @param {String} folder - Cloudinary folder, e.g. 'citypulse/issues'
+     * @returns {Promise<Array<{url: String, publicId: String}>>}
+     */
+    static async uploadImages(files, folder) {
+        if (!files || files.length === 0) return [];
+
+        return Promise.all(files.map(async (file) => {
+            const b64 = Buffer.from(file.buffer).toString("base64");
+            let dataURI = "data:" + file.mimetype + ";base64," + b64;
+            const result = await cloudinary.uploader.upload(dataURI, { folder });
+            return {
+                url: result.secure_url,
+                publicId: result.public_id
+            };
+        }));
+    }
+
+    /**
+     * Remove uploaded images from Cloudinary; images already gone count as removed
+     * @param {Array<String>} publicIds
+     * @returns {Promise<Number>} number of images removed
+     */
+    static async deleteImages(publicIds) {
+        const ids = publicIds.filter(Boolean);
+        const results = await Promise.all(ids.map(id => cloudinary.uploader.destroy(id)));
+
+        const failed = results.filter(r => !['ok', 'not found'].includes(r.result));
+        if (failed.length) {
+            throw new Error(`Failed to delete ${failed.length} of ${ids.length} image(s) from storage`);
+        }
+        return ids.length;
+    }
+}
+
+module.exports = MediaService;
@@ -0,0 +1,112 @@
+const NotificationService = require('./notificationService');
+const MediaService = require('./mediaService');
+
+// "After" photos needed to complete an assignment: COMPLETION_PHOTOS_DEFAULT for every category,
+// overridden per category with COMPLETION_PHOTO_REQUIREMENTS, e.g. "waste:0,road:2"
+const DEFAULT_AFTER_PHOTOS = Number.isNaN(parseInt(process.env.COMPLETION_PHOTOS_DEFAULT))
+    ? 1
+    : parseInt(process.env.COMPLETION_PHOTOS_DEFAULT);
+
+const parseRequirements = (value = '') => Object.fromEntries(value
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([category, count]) => category && !Number.isNaN(parseInt(count)) && parseInt(count) >= 0)
+    .map(([category, count]) => [category, parseInt(count)]));
+
+const AFTER_PHOTO_REQUIREMENTS = parseRequirements(process.env.COMPLETION_PHOTO_REQUIREMENTS);
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+class ProgressService {
+    static getRequiredAfterPhotos(category) {
+        return AFTER_PHOTO_REQUIREMENTS[category] ?? DEFAULT_AFTER_PHOTOS;
+    }
+
+    /**
+     * "After" photos already posted for an assignment (or for the whole issue when no assignment is given)
+     */
+    static countAfterPhotos(issue, assignmentId) {
+        return issue.progressUpdates
+            .filter(u => u.phase === 'after' && (!assignmentId || u.assignment?.toString() === assignmentId.toString()))
+            .reduce((sum, u) => sum + u.photos.length, 0);
+    }
+
+    /**
+     * Check the "after" evidence needed to resolve an issue
+     * @param {Number} uploading - photos arriving with the same request
+     * @returns {null|{statusCode: Number, message: String}} null when there is enough
+     */
+    static checkAfterPhotos(issue, assignmentId, uploading = 0) {
+        const required = ProgressService.getRequiredAfterPhotos(issue.category);
+        if (ProgressService.countAfterPhotos(issue, assignmentId) + uploading >= required) return null;
+
+        return {
+            statusCode: 400,
+            message: `Completing a ${issue.category} assignment requires at least ${required} "after" photo(s)`
+        };
+    }
+
+    /**
+     * Record a field update on the issue and the assignment, then tell the reporter
+     * @param {Object} options - { note, phase: 'progress' | 'after', files: multer files }
+     * @returns {Promise<Object>} the stored progress update
+     */
+    static async addUpdate(issue, assignment, officer, { note, phase = 'progress', files } = {}) {
+        if (!['progress', 'after'].includes(phase)) {
+            throw badRequest("Phase must be 'progress' or 'after'");
+        }
+        if (!note?.trim() && !files?.length) {
+            throw badRequest('A progress update needs a note or at least one photo');
+        }
+
+        const photos = await MediaService.uploadImages(files, 'citypulse/progress');
+
+        issue.progressUpdates.push({
+            assignment: assignment._id,
+            officer: officer._id,
+            note,
+            phase,
+            photos
+        });
+        await issue.save();
+
+        assignment.history.push({
+            action: 'progress',
+            officer: officer._id,
+            notes: note || `${photos.length} ${phase} photo(s) added`
+        });
+        await assignment.save();
+
+        await NotificationService.createNotification(
+            issue.reportedBy._id || issue.reportedBy,
+            'ISSUE_PROGRESS',
+            'Progress on Your Issue',
+            note
+                ? `Update on "${issue.title}": ${note}`.slice(0, 500)
+                : `New ${phase === 'after' ? 'completion' : 'progress'} photos were added to "${issue.title}"`,
+            { issueId: issue._id, assignmentId: assignment._id, url: `/issues/${issue._id}` }
+        );
+
+        return issue.progressUpdates[issue.progressUpdates.length - 1];
+    }
+
+    /**
+     * Before/after comparison: the citizen's report photos next to the officer's completion photos
+     */
+    static getEvidence(issue) {
+        const updates = issue.progressUpdates || [];
+        return {
+            before: issue.images,
+            after: updates
+                .filter(u => u.phase === 'after')
+                .flatMap(u => u.photos.map(photo => ({ ...photo.toObject(), timestamp: u.timestamp, note: u.note }))),
+            updates
+        };
+    }
+}
+
+module.exports = ProgressService;
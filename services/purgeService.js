@@ -0,0 +1,114 @@
+const Issue = require('../models/Issue');
+const Assignment = require('../models/Assignment');
+const Feedback = require('../models/Feedback');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const MediaService = require('./mediaService');
+const AuditService = require('./auditService');
+
+// Days a soft-deleted issue stays restorable before it is purged for good
+const RETENTION_DAYS = parseFloat(process.env.ISSUE_PURGE_RETENTION_DAYS) || 30;
+// Issues purged per run, so one run never holds the job lease for long
+const PURGE_BATCH_SIZE = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OPEN_ASSIGNMENT_STATUSES = ['active', 'accepted'];
+
+class PurgeService {
+    static getPurgeDate(issue) {
+        return new Date(issue.deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+    }
+
+    /**
+     * Cancel the open assignments of a soft-deleted issue so reminders, escalations and
+     * workload counts stop including them. Their status is kept for restoreAssignments.
+     * @returns {Promise<Number>} assignments suspended
+     */
+    static async suspendAssignments(issue) {
+        let suspended = 0;
+        for (const status of OPEN_ASSIGNMENT_STATUSES) {
+            const result = await Assignment.updateMany(
+                { issue: issue._id, status },
+                { $set: { status: 'cancelled', suspendedStatus: status } }
+            );
+            suspended += result.modifiedCount;
+        }
+        return suspended;
+    }
+
+    /**
+     * Reopen the assignments suspended when the issue was deleted
+     * @returns {Promise<Number>} assignments restored
+     */
+    static async restoreAssignments(issue) {
+        let restored = 0;
+        for (const status of OPEN_ASSIGNMENT_STATUSES) {
+            const result = await Assignment.updateMany(
+                { issue: issue._id, status: 'cancelled', suspendedStatus: status },
+                { $set: { status }, $unset: { suspendedStatus: '' } }
+            );
+            restored += result.modifiedCount;
+        }
+        return restored;
+    }
+
+    /**
+     * Permanently remove one issue with its media and every document pointing at it.
+     * Media goes first: if storage cleanup fails the issue is kept and retried on the next run.
+     */
+    static async purgeIssue(issue) {
+        const publicIds = [
+            ...issue.images.map(image => image.publicId),
+            ...(issue.progressUpdates || []).flatMap(update => update.photos.map(photo => photo.publicId))
+        ];
+        const media = await MediaService.deleteImages(publicIds);
+
+        const [assignments, feedback, comments, notifications] = await Promise.all([
+            Assignment.deleteMany({ issue: issue._id }),
+            Feedback.deleteMany({ issue: issue._id }),
+            Comment.deleteMany({ issue: issue._id }),
+            Notification.deleteMany({ $or: [{ 'data.issueId': issue._id }, { 'related.issue': issue._id }] })
+        ]);
+
+        // Merged duplicates should not point at an issue that no longer exists
+        await Issue.updateMany({ duplicateOf: issue._id }, { $set: { duplicateOf: null } });
+
+        await Issue.deleteOne({ _id: issue._id });
+
+        const summary = {
+            media,
+            assignments: assignments.deletedCount,
+            feedback: feedback.deletedCount,
+            comments: comments.deletedCount,
+            notifications: notifications.deletedCount
+        };
+        await AuditService.record(null, 'issue.purge', { resourceType: 'Issue', resourceId: issue._id, metadata: summary });
+
+        return summary;
+    }
+
+    /**
+     * Purge soft-deleted issues older than the retention period
+     */
+    static async purgeDeletedIssues() {
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+        const expired = await Issue.find({ deletedAt: { $ne: null, $lte: cutoff } })
+            .sort({ deletedAt: 1 })
+            .limit(PURGE_BATCH_SIZE);
+
+        let purged = 0;
+        for (const issue of expired) {
+            try {
+                await PurgeService.purgeIssue(issue);
+                purged++;
+            } catch (error) {
+                console.error(`❌ Purge of issue ${issue._id} failed:`, error.message);
+            }
+        }
+
+        return purged;
+    }
+}
+
+module.exports = PurgeService;
@@ -0,0 +1,179 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const Feedback = require('../models/Feedback');
+const AssignmentService = require('./assignmentService');
+const DepartmentService = require('./departmentService');
+const { haversineDistance } = require('../utils/geo');
+
+const FACTORS = ['workload', 'distance', 'rating', 'resolution'];
+const DEFAULT_WEIGHTS = { workload: 0.35, distance: 0.25, rating: 0.2, resolution: 0.2 };
+
+// Issues worked on in this window count as an officer's "recent work"
+const RECENT_WORK_DAYS = parseInt(process.env.RECOMMENDATION_RECENT_DAYS) || 90;
+const RECENT_WORK_LIMIT = 10;
+// Distance at which the distance score drops to 0.5
+const DISTANCE_SCALE_METERS = parseInt(process.env.RECOMMENDATION_DISTANCE_SCALE_METERS) || 5000;
+// Score used for a factor with no data yet (new officers are neither rewarded nor penalised)
+const NEUTRAL_SCORE = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Parse "workload:0.4,distance:0.2,..." on top of the defaults; weights are normalised to sum to 1.
+ * Omitted factors keep their default weight; a weight of 0 switches a factor off.
+ */
+const parseWeights = (value, base = DEFAULT_WEIGHTS) => {
+    const weights = { ...base };
+
+    if (value) {
+        for (const entry of String(value).split(',')) {
+            const [factor, raw] = entry.split(':').map(part => part.trim());
+            const weight = parseFloat(raw);
+            if (!FACTORS.includes(factor) || Number.isNaN(weight) || weight < 0) {
+                throw badRequest(`Invalid weight '${entry}'. Factors: ${FACTORS.join(', ')}`);
+            }
+            weights[factor] = weight;
+        }
+    }
+
+    const total = FACTORS.reduce((sum, f) => sum + weights[f], 0);
+    if (!total) throw badRequest('At least one weight must be positive');
+
+    return Object.fromEntries(FACTORS.map(f => [f, weights[f] / total]));
+};
+
+// Configured once from RECOMMENDATION_WEIGHTS; requests may override per call
+const CONFIGURED_WEIGHTS = parseWeights(process.env.RECOMMENDATION_WEIGHTS);
+
+const round = (value, digits = 3) => (value === null ? null : Number(value.toFixed(digits)));
+
+class RecommendationService {
+    /**
+     * Rank officers for an issue. Each factor is scored 0..1 (higher is better) and weighted.
+     * @param {Object} issue - Issue document
+     * @param {Object} options - { weights: override string, limit }
+     * @returns {Promise<{ weights, candidates }>}
+     */
+    static async recommend(issue, { weights, limit = 5 } = {}) {
+        const activeWeights = weights ? parseWeights(weights, CONFIGURED_WEIGHTS) : CONFIGURED_WEIGHTS;
+
+        const officers = await User.find({ role: 'officer', isActive: { $ne: false } }).select('name email skills');
+        const eligibleIds = await DepartmentService.filterEligibleOfficers(
+            officers.map(o => o._id),
+            issue.category
+        );
+        const candidates = officers.filter(o => eligibleIds.some(id => id.equals(o._id)));
+        if (!candidates.length) return { weights: activeWeights, candidates: [] };
+
+        const ids = candidates.map(o => o._id);
+        const [workloads, recentWork, resolution, ratings] = await Promise.all([
+            AssignmentService.getWorkloads(ids),
+            RecommendationService.getRecentWorkLocations(ids, issue._id),
+            RecommendationService.getCategoryResolutionTimes(ids, issue.category),
+            Promise.all(ids.map(id => Feedback.getOfficerAverageRating(id)))
+        ]);
+
+        const ranked = candidates.map((officer, i) => {
+            const key = officer._id.toString();
+
+            // Workload: 1 for an idle officer, halving with the first open assignment
+            const active = workloads.get(key);
+            const workload = { value: active, score: 1 / (1 + active) };
+
+            // Distance: nearest recent job to the issue
+            const locations = recentWork.get(key) || [];
+            const nearest = locations.length
+                ? Math.min(...locations.map(coords => haversineDistance(coords, issue.location.coordinates)))
+                : null;
+            const distance = {
+                value: round(nearest, 0),
+                score: nearest === null ? NEUTRAL_SCORE : 1 / (1 + nearest / DISTANCE_SCALE_METERS)
+            };
+
+            // Rating: approved feedback average out of 5
+            const { avgRating, count } = ratings[i];
+            const rating = {
+                value: count ? round(avgRating, 2) : null,
+                count,
+                score: count ? avgRating / 5 : NEUTRAL_SCORE
+            };
+
+            // Resolution: 0.5 at the category average, higher when faster
+            const hours = resolution.byOfficer.get(key);
+            const resolutionFactor = {
+                value: hours === undefined ? null : round(hours, 1),
+                categoryAverage: round(resolution.categoryAverage, 1),
+                score: hours === undefined || !resolution.categoryAverage
+                    ? NEUTRAL_SCORE
+                    : resolution.categoryAverage / (resolution.categoryAverage + hours)
+            };
+
+            const factors = { workload, distance, rating, resolution: resolutionFactor };
+            FACTORS.forEach(f => {
+                factors[f].score = round(factors[f].score);
+                factors[f].weight = round(activeWeights[f]);
+                factors[f].contribution = round(factors[f].score * activeWeights[f] * 100, 1);
+            });
+
+            return {
+                officer: { _id: officer._id, name: officer.name, email: officer.email, skills: officer.skills },
+                score: round(FACTORS.reduce((sum, f) => sum + factors[f].contribution, 0), 1),
+                factors
+            };
+        });
+
+        ranked.sort((a, b) => b.score - a.score);
+
+        return { weights: activeWeights, candidates: ranked.slice(0, limit) };
+    }
+
+    /**
+     * Locations of each officer's most recently touched issues
+     * @returns {Promise<Map<String, Array>>} officerId → [[lng, lat], ...]
+     */
+    static async getRecentWorkLocations(officerIds, excludeIssueId) {
+        const since = new Date(Date.now() - RECENT_WORK_DAYS * DAY_MS);
+
+        const rows = await Issue.aggregate([
+            { $match: { assignedTo: { $in: officerIds }, _id: { $ne: excludeIssueId }, updatedAt: { $gte: since } } },
+            { $sort: { updatedAt: -1 } },
+            { $group: { _id: '$assignedTo', locations: { $push: '$location.coordinates' } } },
+            { $project: { locations: { $slice: ['$locations', RECENT_WORK_LIMIT] } } }
+        ]);
+
+        return new Map(rows.map(row => [row._id.toString(), row.locations]));
+    }
+
+    /**
+     * Average resolution hours per officer for a category, plus the category-wide average
+     */
+    static async getCategoryResolutionTimes(officerIds, category) {
+        const [result] = await Issue.aggregate([
+            { $match: { category, resolutionTime: { $ne: null } } },
+            {
+                $facet: {
+                    overall: [{ $group: { _id: null, avg: { $avg: '$resolutionTime' } } }],
+                    byOfficer: [
+                        { $match: { assignedTo: { $in: officerIds } } },
+                        { $group: { _id: '$assignedTo', avg: { $avg: '$resolutionTime' } } }
+                    ]
+                }
+            }
+        ]);
+
+        return {
+            categoryAverage: result.overall[0]?.avg ?? null,
+            byOfficer: new Map(result.byOfficer.map(row => [row._id.toString(), row.avg]))
+        };
+    }
+}
+
+RecommendationService.parseWeights = parseWeights;
+
+module.exports = RecommendationService;
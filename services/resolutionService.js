@@ -0,0 +1,176 @@
+const Issue = require('../models/Issue');
+const Assignment = require('../models/Assignment');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const IssueWorkflow = require('./issueWorkflow');
+const AuditService = require('./auditService');
+const RoutingService = require('./routingService');
+
+// Days a reporter has to confirm or dispute a resolution before it closes automatically
+const CONFIRM_WINDOW_DAYS = parseFloat(process.env.RESOLUTION_CONFIRM_DAYS) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const issueLink = (issue) => ({ issueId: issue._id, url: `/issues/${issue._id}` });
+
+class ResolutionService {
+    /**
+     * Ask the reporter to confirm or dispute a freshly resolved issue.
+     * Sent from the Issue post-save hook, so every path to 'resolved' triggers it exactly once.
+     */
+    static async requestConfirmation(issue) {
+        await NotificationService.createNotification(
+            issue.reportedBy._id || issue.reportedBy,
+            'ISSUE_RESOLVED',
+            'Please Confirm the Resolution',
+            `"${issue.title}" was marked resolved. Confirm it is fixed or dispute it within ${CONFIRM_WINDOW_DAYS} day(s); after that it closes automatically.`,
+            issueLink(issue)
+        );
+    }
+
+    /**
+     * Reporter accepts the fix: the issue closes
+     */
+    static async confirm(issue, citizen) {
+        IssueWorkflow.transition(issue, 'closed', citizen, { reason: 'Resolution confirmed by reporter' });
+        issue.set('resolution.confirmedAt', new Date());
+        await issue.save();
+        return issue;
+    }
+
+    /**
+     * Reporter rejects the fix: the issue reopens, the completed assignment is marked reopened
+     * (counts toward the officer's reopen rate) and a fresh assignment is requested. Routing rules
+     * pick another officer when they can; otherwise admins are asked to reassign.
+     * @returns {Promise<{ issue, assignment, routing }>} routing is null when no rule took the issue
+     */
+    static async dispute(issue, citizen, reason) {
+        const failure = IssueWorkflow.validateTransition(issue, 'open', citizen, { reason });
+        if (failure) {
+            const error = new Error(failure.message);
+            error.statusCode = failure.statusCode;
+            throw error;
+        }
+
+        const assignment = await Assignment.findOne({ issue: issue._id, status: 'completed' })
+            .sort({ createdAt: -1 });
+        const officerId = assignment ? assignment.assignedTo : issue.assignedTo;
+
+        if (assignment) {
+            assignment.reopened = true;
+            assignment.reopenedAt = new Date();
+            assignment.history.push({
+                action: 'reopened',
+                officer: assignment.assignedTo,
+                notes: `Resolution disputed by reporter: ${reason}`
+            });
+            await assignment.save();
+        }
+
+        IssueWorkflow.applyTransition(issue, 'open', citizen, { reason });
+        issue.assignedTo = undefined;
+        issue.resolution.disputes.push({ reason, assignment: assignment?._id, officer: officerId });
+
+        // The SLA clock keeps running from the original report
+        if (issue.sla?.resolutionDueAt) {
+            issue.set({
+                'sla.resolvedAt': undefined,
+                'sla.state': new Date() > issue.sla.resolutionDueAt ? 'breached' : 'on_track'
+            });
+        }
+        await issue.save();
+
+        let routing = null;
+        try {
+            routing = await RoutingService.routeIssue(issue, { excludeOfficers: officerId ? [officerId] : [] });
+        } catch (routingError) {
+            console.error('⚠️ Automatic Routing Failed:', routingError.message);
+        }
+
+        if (!routing) {
+            const admins = await User.find({ role: 'admin' }).select('_id');
+            await Promise.all(admins.map(admin => NotificationService.createNotification(
+                admin._id,
+                'ISSUE_REOPENED',
+                'Reassignment Needed',
+                `The reporter disputed the resolution of "${issue.title}": ${reason}`.slice(0, 500),
+                { ...issueLink(issue), assignmentId: assignment?._id }
+            )));
+        }
+
+        if (officerId) {
+            await NotificationService.createNotification(
+                officerId,
+                'ISSUE_REOPENED',
+                'Resolution Disputed',
+                `The reporter disputed your resolution of "${issue.title}"`,
+                { ...issueLink(issue), assignmentId: assignment?._id }
+            );
+        }
+
+        return { issue, assignment, routing };
+    }
+
+    /**
+     * Close resolved issues the reporter has not answered within the window
+     */
+    static async autoCloseExpired() {
+        const cutoff = new Date(Date.now() - CONFIRM_WINDOW_DAYS * DAY_MS);
+        const expired = await Issue.find({
+            status: 'resolved',
+            $or: [
+                { resolvedAt: { $lte: cutoff } },
+                // Resolved before resolvedAt was tracked
+                { resolvedAt: { $exists: false }, updatedAt: { $lte: cutoff } }
+            ]
+        });
+
+        let closed = 0;
+        for (const issue of expired) {
+            try {
+                const before = AuditService.snapshot(issue);
+                IssueWorkflow.transition(issue, 'closed', null, {
+                    reason: `Auto-closed: no response from reporter within ${CONFIRM_WINDOW_DAYS} day(s)`
+                });
+                issue.set('resolution.autoClosedAt', new Date());
+                await issue.save();
+                await AuditService.record(null, 'issue.autoClose', { resourceType: 'Issue', before, after: issue });
+
+                await NotificationService.createNotification(
+                    issue.reportedBy,
+                    'ISSUE_CLOSED',
+                    'Issue Closed',
+                    `"${issue.title}" was closed automatically because its resolution was not disputed within ${CONFIRM_WINDOW_DAYS} day(s)`,
+                    issueLink(issue)
+                );
+                closed++;
+            } catch (error) {
+                console.error(`❌ Auto-close of issue ${issue._id} failed:`, error.message);
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Share of an officer's completed assignments whose resolution was disputed
+     */
+    static async getReopenStats(officerId) {
+        const [stats] = await Assignment.aggregate([
+            { $match: { assignedTo: officerId, status: 'completed' } },
+            {
+                $group: {
+                    _id: null,
+                    completed: { $sum: 1 },
+                    reopened: { $sum: { $cond: ['$reopened', 1, 0] } }
+                }
+            }
+        ]);
+
+        const completed = stats?.completed || 0;
+        const reopened = stats?.reopened || 0;
+        return { completed, reopened, reopenRate: completed ? (reopened / completed) * 100 : 0 };
+    }
+}
+
+module.exports = ResolutionService;
@@ -0,0 +1,190 @@
+const RoutingRule = require('../models/RoutingRule');
+const User = require('../models/User');
+const AssignmentService = require('./assignmentService');
+const DepartmentService = require('./departmentService');
+
+// Time-of-day conditions are evaluated in this zone (defaults to the server's local time)
+const ROUTING_TIMEZONE = process.env.ROUTING_TIMEZONE || undefined;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Helper: day of week and minutes since midnight in the routing time zone
+const getLocalTime = (date) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: ROUTING_TIMEZONE,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parts.find(p => p.type === type).value;
+
+    return {
+        day: WEEKDAYS.indexOf(part('weekday')),
+        minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+};
+
+const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+};
+
+// Helper: overnight windows (start > end) span midnight; days refer to the current local day
+const inTimeWindow = (window, local) => {
+    if (window.days?.length && !window.days.includes(local.day)) return false;
+    if (!window.start || !window.end) return true;
+
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return start <= end
+        ? local.minutes >= start && local.minutes < end
+        : local.minutes >= start || local.minutes < end;
+};
+
+class RoutingService {
+    /**
+     * Check one rule's conditions against an issue
+     * @returns {{ matched: Boolean, reasons: String[] }} reasons lists every condition that failed
+     */
+    static evaluateRule(rule, issue, at = new Date()) {
+        const { categories, priorities, zones, timeWindow } = rule.conditions || {};
+        const reasons = [];
+
+        if (categories?.length && !categories.includes(issue.category)) {
+            reasons.push(`category '${issue.category}' not in [${categories.join(', ')}]`);
+        }
+        if (priorities?.length && !priorities.includes(issue.priority)) {
+            reasons.push(`priority '${issue.priority}' not in [${priorities.join(', ')}]`);
+        }
+        const issueZones = (issue.zones || []).map(z => z.toString());
+        if (zones?.length && !zones.some(z => issueZones.includes(z.toString()))) {
+            reasons.push(issueZones.length ? 'issue zones not targeted by this rule' : 'issue has no zone');
+        }
+        if (timeWindow && (timeWindow.days?.length || timeWindow.start) && !inTimeWindow(timeWindow, getLocalTime(at))) {
+            reasons.push('outside the rule time window');
+        }
+
+        return { matched: reasons.length === 0, reasons };
+    }
+
+    /**
+     * Pick the rule's target: the named officer, or the pool member with the fewest open assignments.
+     * Ties go to whoever is listed first in the pool. Non-officer or deactivated accounts and officers whose
+     * department does not cover the issue category are skipped.
+     * @param {Array} excludeOfficers - Officers that must not be picked (e.g. the one whose fix was disputed)
+     * @returns {Promise<{ officer: Object|null, workloads: Array }>}
+     */
+    static async selectOfficer(rule, issue, excludeOfficers = []) {
+        const excluded = excludeOfficers.map(id => id.toString());
+        const targets = rule.target.officer ? [rule.target.officer] : rule.target.pool;
+        const candidateIds = await DepartmentService.filterEligibleOfficers(
+            targets.filter(id => !excluded.includes(id.toString())),
+            issue.category
+        );
+        const officers = await User.find({ _id: { $in: candidateIds }, role: 'officer', isActive: { $ne: false } })
+            .select('name email');
+        if (!officers.length) return { officer: null, workloads: [] };
+
+        const workloads = await AssignmentService.getWorkloads(officers.map(o => o._id));
+        const ranked = candidateIds
+            .map(id => officers.find(o => o._id.toString() === id.toString()))
+            .filter(Boolean)
+            .map(officer => ({ officer, activeAssignments: workloads.get(officer._id.toString()) }));
+
+        const chosen = ranked.reduce((best, entry) => (
+            entry.activeAssignments < best.activeAssignments ? entry : best
+        ));
+
+        return {
+            officer: chosen.officer,
+            workloads: ranked.map(entry => ({
+                officer: { _id: entry.officer._id, name: entry.officer.name },
+                activeAssignments: entry.activeAssignments
+            }))
+        };
+    }
+
+    /**
+     * Find the first active rule that matches and has an eligible officer
+     * @returns {Promise<{ rule, officer, workloads }|null>}
+     */
+    static async findRoute(issue, at = new Date(), excludeOfficers = []) {
+        const rules = await RoutingRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+
+        for (const rule of rules) {
+            if (!RoutingService.evaluateRule(rule, issue, at).matched) continue;
+
+            const { officer, workloads } = await RoutingService.selectOfficer(rule, issue, excludeOfficers);
+            if (officer) return { rule, officer, workloads };
+        }
+        return null;
+    }
+
+    /**
+     * Route a freshly reported (or reopened) issue. Creates the assignment through the same path as
+     * manual assignment, recording the rule that fired.
+     * @param {Object} options - { excludeOfficers: officers that must not receive it }
+     * @returns {Promise<{ rule, assignment }|null>} null when no rule applies
+     */
+    static async routeIssue(issue, { excludeOfficers = [] } = {}) {
+        if (issue.status !== 'open' || issue.assignedTo) return null;
+
+        const route = await RoutingService.findRoute(issue, new Date(), excludeOfficers);
+        if (!route) return null;
+
+        const assignment = await AssignmentService.assignIssue(issue, {
+            officerId: route.officer._id,
+            actor: null,
+            routingRule: route.rule,
+            notes: `Auto-assigned by routing rule "${route.rule.name}"`
+        });
+
+        await RoutingRule.updateOne(
+            { _id: route.rule._id },
+            { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+        );
+
+        return { rule: route.rule, assignment };
+    }
+
+    /**
+     * Evaluate rules against an issue without assigning anything.
+     * Each rule reports whether its conditions matched and whether it has an officer to assign.
+     * @param {Object} options - { at: Date to evaluate time windows at, ruleId: limit to one rule (active or not) }
+     */
+    static async dryRun(issue, { at = new Date(), ruleId } = {}) {
+        const rules = ruleId
+            ? await RoutingRule.find({ _id: ruleId })
+            : await RoutingRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+
+        const results = [];
+        let selected = null;
+
+        for (const rule of rules) {
+            const { matched, reasons } = RoutingService.evaluateRule(rule, issue, at);
+            const result = {
+                rule: { _id: rule._id, name: rule.name, order: rule.order, isActive: rule.isActive },
+                matched,
+                assignable: false,
+                reasons
+            };
+
+            // A matching rule without an eligible officer is skipped by routing, so it is reported as unassignable
+            if (matched) {
+                const { officer, workloads } = await RoutingService.selectOfficer(rule, issue);
+                result.workloads = workloads;
+                result.assignable = Boolean(officer);
+                if (officer && !selected) {
+                    selected = { rule: result.rule, officer: { _id: officer._id, name: officer.name, email: officer.email } };
+                }
+            }
+
+            results.push(result);
+        }
+
+        return { evaluatedAt: at, selected, rules: results };
+    }
+}
+
+module.exports = RoutingService;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const generateToken = require('../utils/generateToken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read on use (like JWT_SECRET) so values from .env apply
+const refreshTtlMs = () => (parseFloat(process.env.REFRESH_TOKEN_DAYS) || 30) * DAY_MS;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const unauthorized = (message) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+};
+
+// Helper: Device label from the client, falling back to its user agent
+const describeDevice = (req) => (req.body?.device || req.get('User-Agent') || 'Unknown device').slice(0, 100);
+
+class SessionService {
+    /**
+     * Access token plus the plain refresh token; the plain token is only ever returned here
+     */
+    static issueTokens(session, refreshToken) {
+        const token = generateToken(session.user, session._id);
+        return {
+            token,
+            tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+            refreshToken,
+            refreshTokenExpiresAt: session.expiresAt
+        };
+    }
+
+    /**
+     * Start a session for a freshly authenticated user on the requesting device
+     */
+    static async createSession(user, req) {
+        const refreshToken = newRefreshToken();
+        const session = await Session.create({
+            user: user._id,
+            tokenHash: hashToken(refreshToken),
+            device: describeDevice(req),
+            userAgent: req.get('User-Agent'),
+            ip: req.ip,
+            expiresAt: new Date(Date.now() + refreshTtlMs())
+        });
+
+        return SessionService.issueTokens(session, refreshToken);
+    }
+
+    /**
+     * Exchange a refresh token for a new access/refresh pair. The old refresh token stops working;
+     * presenting it again revokes the whole session because it must have been copied.
+     */
+    static async refresh(refreshToken, req) {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            throw unauthorized('Refresh token is required');
+        }
+
+        const now = new Date();
+        const tokenHash = hashToken(refreshToken);
+        const nextToken = newRefreshToken();
+
+        // Claim the token atomically so two concurrent refreshes cannot both succeed
+        const session = await Session.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+            {
+                $set: {
+                    tokenHash: hashToken(nextToken),
+                    previousTokenHash: tokenHash,
+                    lastUsedAt: now,
+                    ip: req.ip,
+                    expiresAt: new Date(now.getTime() + refreshTtlMs())
+                }
+            },
+            { new: true }
+        );
+
+        if (!session) {
+            const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+            if (reused) await SessionService.revoke(reused, 'token_reuse');
+            throw unauthorized('Refresh token is invalid or expired');
+        }
+
+        const user = await User.findById(session.user).select('isActive');
+        if (!user || user.isActive === false) {
+            await SessionService.revoke(session, 'user_disabled');
+            throw unauthorized('Account is disabled');
+        }
+
+        return SessionService.issueTokens(session, nextToken);
+    }
+
+    static async revoke(session, reason) {
+        if (session.revokedAt) return session;
+        session.revokedAt = new Date();
+        session.revokedReason = reason;
+        return session.save();
+    }
+
+    /**
+     * Revoke every open session of a user, optionally keeping the current one
+     * @returns {Promise<Number>} sessions revoked
+     */
+    static async revokeAll(userId, reason, { except } = {}) {
+        const filter = { user: userId, revokedAt: null };
+        if (except) filter._id = { $ne: except };
+
+        const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+        return result.modifiedCount;
+    }
+
+    /**
+     * Session behind an access token, or null when it was revoked, expired or belongs to someone else
+     */
+    static async getActiveSession(sessionId, userId) {
+        if (!sessionId) return null;
+        const session = await Session.findById(sessionId);
+        if (!session || !session.isActive() || session.user.toString() !== String(userId)) return null;
+        return session;
+    }
+}
+
+module.exports = SessionService;
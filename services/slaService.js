@@ -0,0 +1,172 @@
+const Issue = require('../models/Issue');
+const SlaPolicy = require('../models/SlaPolicy');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+
+// Fraction of the resolution window after which an issue is flagged at risk
+const AT_RISK_RATIO = parseFloat(process.env.SLA_AT_RISK_RATIO) || 0.8;
+
+const HOUR_MS = 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['open', 'assigned', 'in-progress'];
+
+class SlaService {
+    /**
+     * Attach due dates from the matching policy. Called from the Issue pre-save hook
+     * when an issue is created or its category/priority changes. An existing SLA state is never reset.
+     */
+    static async applyPolicy(issue) {
+        const policy = await SlaPolicy.findOne({
+            category: issue.category,
+            priority: issue.priority,
+            isActive: true
+        });
+
+        // Without a matching policy the issue keeps whatever targets and outcome it already has
+        if (!policy) return issue;
+
+        const start = issue.createdAt || new Date();
+        const resolutionDueAt = new Date(start.getTime() + policy.resolutionHours * HOUR_MS);
+
+        issue.set({
+            'sla.policy': policy._id,
+            'sla.responseDueAt': policy.responseHours !== undefined && policy.responseHours !== null
+                ? new Date(start.getTime() + policy.responseHours * HOUR_MS)
+                : null,
+            'sla.resolutionDueAt': resolutionDueAt,
+            'sla.atRiskAt': new Date(start.getTime() + policy.resolutionHours * AT_RISK_RATIO * HOUR_MS)
+        });
+
+        // Only the due dates move; a state the monitor already reached (and alerted on) is kept
+        if (ACTIVE_STATUSES.includes(issue.status) && !issue.sla.state) {
+            issue.set('sla.state', 'on_track');
+        }
+
+        return issue;
+    }
+
+    /**
+     * Track response/resolution milestones when the status changes
+     */
+    static recordStatusChange(issue) {
+        if (!issue.sla?.resolutionDueAt) return issue;
+
+        const now = new Date();
+        if (issue.status !== 'open' && !issue.sla.respondedAt) {
+            issue.sla.respondedAt = now;
+        }
+
+        if (issue.status === 'resolved' && !issue.sla.resolvedAt) {
+            issue.sla.resolvedAt = now;
+            issue.sla.state = now <= issue.sla.resolutionDueAt ? 'met' : 'breached';
+        }
+
+        return issue;
+    }
+
+    /**
+     * Flag at-risk and breached issues and alert admins plus the assigned officer.
+     * State is moved with conditional updates so each alert is sent once.
+     */
+    static async checkBreaches() {
+        const now = new Date();
+        const admins = await User.find({ role: 'admin' }).select('_id');
+        const active = { status: { $in: ACTIVE_STATUSES } };
+
+        // 1. Resolution deadline passed
+        const breached = await Issue.find({
+            ...active,
+            'sla.resolutionDueAt': { $lte: now },
+            'sla.state': { $in: ['on_track', 'at_risk'] }
+        }).select('title assignedTo sla');
+
+        for (const issue of breached) {
+            const result = await Issue.updateOne(
+                { _id: issue._id, 'sla.state': { $in: ['on_track', 'at_risk'] } },
+                { $set: { 'sla.state': 'breached' } }
+            );
+            if (result.modifiedCount) {
+                await SlaService.notify(issue, admins, 'SLA Breached',
+                    `Issue "${issue.title}" missed its resolution target (due ${issue.sla.resolutionDueAt.toISOString()})`);
+            }
+        }
+
+        // 2. Most of the resolution window used up
+        const atRisk = await Issue.find({
+            ...active,
+            'sla.atRiskAt': { $lte: now },
+            'sla.resolutionDueAt': { $gt: now },
+            'sla.state': 'on_track'
+        }).select('title assignedTo sla');
+
+        for (const issue of atRisk) {
+            const result = await Issue.updateOne(
+                { _id: issue._id, 'sla.state': 'on_track' },
+                { $set: { 'sla.state': 'at_risk' } }
+            );
+            if (result.modifiedCount) {
+                await SlaService.notify(issue, admins, 'SLA At Risk',
+                    `Issue "${issue.title}" is due for resolution by ${issue.sla.resolutionDueAt.toISOString()}`);
+            }
+        }
+
+        // 3. Nobody picked the issue up in time
+        const unanswered = await Issue.find({
+            status: 'open',
+            'sla.responseDueAt': { $lte: now },
+            'sla.responseBreached': { $ne: true }
+        }).select('title assignedTo sla');
+
+        for (const issue of unanswered) {
+            const result = await Issue.updateOne(
+                { _id: issue._id, 'sla.responseBreached': { $ne: true } },
+                { $set: { 'sla.responseBreached': true } }
+            );
+            if (result.modifiedCount) {
+                await SlaService.notify(issue, admins, 'SLA Response Missed',
+                    `Issue "${issue.title}" has not been assigned within its response target`);
+            }
+        }
+
+        return { breached: breached.length, atRisk: atRisk.length, unanswered: unanswered.length };
+    }
+
+    static async notify(issue, admins, title, message) {
+        const recipients = admins.map(admin => admin._id.toString());
+        if (issue.assignedTo) recipients.push(issue.assignedTo.toString());
+
+        await Promise.all([...new Set(recipients)].map(recipientId => (
+            NotificationService.createNotification(
+                recipientId,
+                'SYSTEM_ALERT',
+                title,
+                message,
+                { issueId: issue._id, url: `/issues/${issue._id}` }
+            )
+        )));
+    }
+
+    /**
+     * Aggregate SLA outcomes; compliance is met / (met + breached)
+     */
+    static async getComplianceSummary(match = {}) {
+        const stats = await Issue.aggregate([
+            { $match: { ...match, 'sla.state': { $in: ['on_track', 'at_risk', 'breached', 'met'] } } },
+            { $group: { _id: '$sla.state', count: { $sum: 1 } } }
+        ]);
+
+        const counts = stats.reduce((acc, s) => ({ ...acc, [s._id]: s.count }), {});
+        const met = counts.met || 0;
+        const breached = counts.breached || 0;
+
+        return {
+            tracked: stats.reduce((sum, s) => sum + s.count, 0),
+            met,
+            breached,
+            atRisk: counts.at_risk || 0,
+            onTrack: counts.on_track || 0,
+            complianceRate: met + breached ? (met / (met + breached)) * 100 : null
+        };
+    }
+}
+
+module.exports = SlaService;
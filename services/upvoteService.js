@@ -0,0 +1,72 @@
+const Issue = require('../models/Issue');
+const NotificationService = require('./notificationService');
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2, urgent: 3 };
+
+// Optional priority bump rule, e.g. UPVOTE_PRIORITY_THRESHOLDS="high:10,urgent:25"
+// means 10 upvotes raise an issue to at least 'high' and 25 to 'urgent'. Unset = disabled.
+const parseThresholds = (value = '') => value
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([priority, votes]) => PRIORITY_RANK[priority] !== undefined && parseInt(votes) > 0)
+    .map(([priority, votes]) => ({ priority, votes: parseInt(votes) }))
+    .sort((a, b) => a.votes - b.votes);
+
+const PRIORITY_THRESHOLDS = parseThresholds(process.env.UPVOTE_PRIORITY_THRESHOLDS);
+
+class UpvoteService {
+    /**
+     * Atomically record a user's upvote; resolves to null if the user already upvoted
+     */
+    static async addUpvote(issueId, userId) {
+        return Issue.findOneAndUpdate(
+            { _id: issueId, upvoters: { $ne: userId } },
+            { $addToSet: { upvoters: userId }, $inc: { upvoteCount: 1 } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Atomically withdraw a user's upvote; resolves to null if the user had not upvoted
+     */
+    static async removeUpvote(issueId, userId) {
+        return Issue.findOneAndUpdate(
+            { _id: issueId, upvoters: userId },
+            { $pull: { upvoters: userId }, $inc: { upvoteCount: -1 } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Raise priority when the upvote count crosses a configured threshold.
+     * Priority is never lowered when upvotes are withdrawn.
+     * @returns {Promise<Boolean>} true if the priority was bumped
+     */
+    static async applyPriorityRules(issue) {
+        const crossed = PRIORITY_THRESHOLDS.filter(t => issue.upvoteCount >= t.votes);
+        if (!crossed.length) return false;
+
+        const target = crossed.reduce((best, t) => (
+            PRIORITY_RANK[t.priority] > PRIORITY_RANK[best] ? t.priority : best
+        ), issue.priority);
+        if (target === issue.priority) return false;
+
+        const previous = issue.priority;
+        issue.priority = target;
+        await issue.save();
+
+        if (issue.assignedTo) {
+            await NotificationService.createNotification(
+                issue.assignedTo,
+                'SYSTEM_ALERT',
+                'Issue Priority Raised',
+                `Issue "${issue.title}" was raised from ${previous} to ${target} priority after ${issue.upvoteCount} citizen confirmations`,
+                { issueId: issue._id, url: `/issues/${issue._id}` }
+            );
+        }
+
+        return true;
+    }
+}
+
+module.exports = UpvoteService;
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+const Assignment = require('../models/Assignment');
+const Feedback = require('../models/Feedback');
+const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Department = require('../models/Department');
+const NotificationService = require('./notificationService');
+const SessionService = require('./sessionService');
+const AccountService = require('./accountService');
+const ResolutionService = require('./resolutionService');
+
+const ROLES = User.schema.path('role').enumValues;
+const OPEN_ASSIGNMENT_STATUSES = ['active', 'accepted'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Helper: [{ _id: 'open', count: 2 }] → { open: 2 }
+const countsByKey = (rows) => Object.fromEntries(rows.map(row => [row._id, row.count]));
+
+class UserService {
+    /**
+     * Build the admin user search filter
+     * @param {Object} params - { role, q (name or email), department, active }
+     */
+    static async buildUserFilter({ role, q, department, active } = {}) {
+        const filter = {};
+
+        if (role) {
+            const roles = String(role).split(',').map(r => r.trim()).filter(Boolean);
+            if (roles.some(r => !ROLES.includes(r))) throw fail(400, `Role must be one of: ${ROLES.join(', ')}`);
+            filter.role = roles.length > 1 ? { $in: roles } : roles[0];
+        }
+        if (q && String(q).trim()) {
+            const pattern = { $regex: escapeRegex(String(q).trim()), $options: 'i' };
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        if (active !== undefined) filter.isActive = active === 'true' ? { $ne: false } : false;
+        if (department) {
+            if (!mongoose.Types.ObjectId.isValid(department)) throw fail(400, 'Invalid department');
+            const found = await Department.findById(department).select('members head');
+            if (!found) throw fail(404, 'Department not found');
+            filter._id = { $in: found.members };
+        }
+
+        return filter;
+    }
+
+    /**
+     * What a user has done on the platform; officers also get their assignment record
+     */
+    static async getActivitySummary(user) {
+        const now = new Date();
+        const [issueCounts, comments, feedbackGiven, activeSessions, lastSession, lastAction] = await Promise.all([
+            Issue.aggregate([
+                { $match: { reportedBy: user._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            Comment.countDocuments({ author: user._id, deletedAt: null }),
+            Feedback.countDocuments({ citizen: user._id }),
+            Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: now } }),
+            Session.findOne({ user: user._id }).sort({ lastUsedAt: -1 }).select('lastUsedAt device'),
+            AuditLog.findOne({ actor: user._id }).sort({ createdAt: -1 }).select('action resourceType createdAt')
+        ]);
+
+        const byStatus = countsByKey(issueCounts);
+        const summary = {
+            issuesReported: {
+                total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+                byStatus
+            },
+            comments,
+            feedbackGiven,
+            activeSessions,
+            lastSeenAt: lastSession?.lastUsedAt || null,
+            lastDevice: lastSession?.device || null,
+            lastAction: lastAction || null
+        };
+
+        if (user.role === 'officer') {
+            const [assignmentCounts, overdue, rating, reopen, department] = await Promise.all([
+                Assignment.aggregate([
+                    { $match: { assignedTo: user._id } },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ]),
+                Assignment.countDocuments({ assignedTo: user._id, status: { $in: OPEN_ASSIGNMENT_STATUSES }, overdue: true }),
+                Feedback.getOfficerAverageRating(user._id),
+                ResolutionService.getReopenStats(user._id),
+                Department.findOne({ members: user._id }).select('name')
+            ]);
+
+            summary.assignments = { byStatus: countsByKey(assignmentCounts), overdue };
+            summary.rating = { average: rating.avgRating, count: rating.count };
+            summary.reopenRate = reopen.reopenRate;
+            summary.department = department;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Change a user's role and tell them. Officers must hand over open work first and leave their department.
+     * @returns {Promise<String>} the previous role
+     */
+    static async changeRole(user, role, admin) {
+        if (!ROLES.includes(role)) throw fail(400, `Role must be one of: ${ROLES.join(', ')}`);
+        if (user._id.equals(admin._id)) throw fail(400, 'You cannot change your own role');
+        if (role === 'service' || user.role === 'service') {
+            throw fail(400, 'Service accounts are created and managed through the API keys endpoints');
+        }
+        if (user.role === role) throw fail(400, `User is already ${role === 'admin' ? 'an' : 'a'} ${role}`);
+
+        const previous = user.role;
+        if (previous === 'officer') {
+            const open = await Assignment.countDocuments({ assignedTo: user._id, status: { $in: OPEN_ASSIGNMENT_STATUSES } });
+            if (open) throw fail(409, `Reassign the officer's ${open} open assignment(s) before changing their role`);
+
+            await Department.updateMany({ head: user._id }, { $unset: { head: '' } });
+            await Department.updateMany({ members: user._id }, { $pull: { members: user._id } });
+        }
+
+        user.role = role;
+        await user.save();
+
+        await NotificationService.createNotification(
+            user._id,
+            'ACCOUNT_UPDATED',
+            'Your Role Has Changed',
+            `An administrator changed your role from ${previous} to ${role}`,
+            { url: '/profile' }
+        );
+
+        return previous;
+    }
+
+    /**
+     * Deactivate (signing the user out everywhere) or reactivate an account.
+     * Officers must hand over their open assignments before they can be deactivated.
+     * @returns {Promise<Number>} open assignments still held by the user
+     */
+    static async setActive(user, isActive, admin, reason) {
+        if (user._id.equals(admin._id)) throw fail(400, 'You cannot deactivate or reactivate your own account');
+        if ((user.isActive !== false) === isActive) {
+            throw fail(400, `Account is already ${isActive ? 'active' : 'deactivated'}`);
+        }
+
+        if (!isActive && user.role === 'officer') {
+            const open = await Assignment.countDocuments({ assignedTo: user._id, status: { $in: OPEN_ASSIGNMENT_STATUSES } });
+            if (open) throw fail(409, `Reassign the officer's ${open} open assignment(s) before deactivating them`);
+        }
+
+        if (isActive) {
+            user.isActive = true;
+            user.deactivatedAt = undefined;
+            user.deactivatedBy = undefined;
+            user.deactivationReason = undefined;
+            await user.save();
+        } else {
+            user.isActive = false;
+            user.deactivatedAt = new Date();
+            user.deactivatedBy = admin._id;
+            user.deactivationReason = reason;
+            await user.save();
+            await SessionService.revokeAll(user._id, 'user_disabled');
+        }
+
+        return Assignment.countDocuments({ assignedTo: user._id, status: { $in: OPEN_ASSIGNMENT_STATUSES } });
+    }
+
+    /**
+     * Sign the user out everywhere and refuse sign-in until they reset their password from the emailed link
+     */
+    static async forcePasswordReset(user) {
+        if (user.isActive === false) throw fail(400, 'Reactivate the account before forcing a password reset');
+        if (user.role === 'service') throw fail(400, 'Service accounts have no password; rotate their API keys instead');
+
+        user.passwordResetRequired = true;
+        await user.save();
+
+        const revoked = await SessionService.revokeAll(user._id, 'password_reset_forced');
+        await AccountService.sendPasswordReset(user);
+        return revoked;
+    }
+}
+
+module.exports = UserService;
@@ -0,0 +1,142 @@
+const Zone = require('../models/Zone');
+const Issue = require('../models/Issue');
+
+// Overlapping zones of one type are resolved in favour of the oldest
+const ZONE_PRECEDENCE = { createdAt: 1, _id: 1 };
+
+class ZoneService {
+    /**
+     * Active zones containing a point, oldest first
+     * @param {Array} coordinates - [lng, lat]
+     * @param {Object} filter - Extra conditions, e.g. { type: 'ward' }
+     */
+    static async findContaining(coordinates, filter = {}) {
+        if (!coordinates || coordinates.length !== 2) return [];
+
+        return Zone.find({
+            ...filter,
+            isActive: true,
+            geometry: {
+                $geoIntersects: {
+                    $geometry: { type: 'Point', coordinates: coordinates.map(Number) }
+                }
+            }
+        }).select('name code type').sort(ZONE_PRECEDENCE);
+    }
+
+    /**
+     * Find the zones containing a point: at most one per type (ward, district), since they nest
+     * @param {Array} coordinates - [lng, lat]
+     * @returns {Promise<Array>} Zone documents; empty when outside every zone
+     */
+    static async resolveZones(coordinates) {
+        const zones = await ZoneService.findContaining(coordinates);
+        return zones.filter((zone, index) => zones.findIndex(z => z.type === zone.type) === index);
+    }
+
+    /**
+     * Tag every issue inside a zone's polygon (used after zones are created, edited or imported).
+     * Issues already tagged with another zone of the same type keep it; issues the zone releases
+     * fall back to another active zone of its type that still contains them.
+     * @returns {Promise<Number>} Number of issues updated
+     */
+    static async tagIssues(zone) {
+        // Clear the old tags first so issues outside an edited boundary are released
+        const released = await Issue.find({ zones: zone._id }).setOptions({ withDeleted: true }).distinct('_id');
+        await Issue.updateMany({ zones: zone._id }, { $pull: { zones: zone._id } });
+
+        let tagged = 0;
+        if (zone.isActive) {
+            const sameType = await Zone.find({ type: zone.type, _id: { $ne: zone._id } }).distinct('_id');
+            const result = await Issue.updateMany(
+                { location: { $geoWithin: { $geometry: zone.geometry } }, zones: { $nin: sameType } },
+                { $addToSet: { zones: zone._id } }
+            );
+            tagged = result.modifiedCount;
+        }
+
+        const orphaned = await Issue.find({ _id: { $in: released }, zones: { $ne: zone._id } })
+            .setOptions({ withDeleted: true })
+            .select('location');
+        for (const issue of orphaned) {
+            const [fallback] = await ZoneService.findContaining(issue.location?.coordinates, {
+                type: zone.type,
+                _id: { $ne: zone._id }
+            });
+            if (fallback) await Issue.updateOne({ _id: issue._id }, { $addToSet: { zones: fallback._id } });
+        }
+
+        return tagged;
+    }
+
+    /**
+     * Replace the single `zone` tag of issues from before zones nested with their `zones`,
+     * resolved again from the location. Idempotent; run at startup.
+     * @returns {Promise<Number>} issues migrated
+     */
+    static async migrateIssueZones() {
+        let migrated = 0;
+        // Raw collection access: the path is gone from the schema and soft-deleted issues are included
+        const cursor = Issue.collection.find({ zone: { $exists: true } }, { projection: { location: 1 } });
+        for await (const issue of cursor) {
+            const zones = await ZoneService.resolveZones(issue.location?.coordinates);
+            await Issue.collection.updateOne(
+                { _id: issue._id },
+                { $set: { zones: zones.map(zone => zone._id) }, $unset: { zone: '' } }
+            );
+            migrated++;
+        }
+        return migrated;
+    }
+
+    /**
+     * Upsert zones from a GeoJSON FeatureCollection; features are keyed by properties.code
+     * @returns {Promise<{ imported: Array, errors: Array }>}
+     */
+    static async importFeatureCollection(geojson, userId) {
+        if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+            const error = new Error('Expected a GeoJSON FeatureCollection');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const imported = [];
+        const errors = [];
+
+        for (const [index, feature] of geojson.features.entries()) {
+            const props = feature.properties || {};
+            const code = props.code || props.CODE || props.id;
+            const name = props.name || props.NAME || code;
+
+            if (!code || !['Polygon', 'MultiPolygon'].includes(feature.geometry?.type)) {
+                errors.push({ index, message: 'Feature needs a code property and a Polygon/MultiPolygon geometry' });
+                continue;
+            }
+
+            try {
+                const zone = await Zone.findOneAndUpdate(
+                    { code: String(code).toUpperCase() },
+                    {
+                        name,
+                        code,
+                        type: props.type === 'district' ? 'district' : 'ward',
+                        geometry: {
+                            type: feature.geometry.type,
+                            coordinates: feature.geometry.coordinates
+                        },
+                        $setOnInsert: { createdBy: userId }
+                    },
+                    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+                );
+                const issuesTagged = await ZoneService.tagIssues(zone);
+                imported.push({ _id: zone._id, code: zone.code, name: zone.name, issuesTagged });
+            } catch (error) {
+                errors.push({ index, code, message: error.message });
+            }
+        }
+
+        return { imported, errors };
+    }
+}
+
+module.exports = ZoneService;
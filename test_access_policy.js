@@ -0,0 +1,275 @@
+// Access matrix for the resource-level policies and the routes that enforce them.
+// Runs without a database: model lookups are stubbed with fixed documents.
+// Usage: npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'access-policy-test-secret';
+
+// Unstubbed database calls fail at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Replace a module before anything requires it; every method resolves without doing anything
+const stubModule = (path) => {
+    const filename = require.resolve(path);
+    const exports = new Proxy({}, { get: () => async () => null });
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+// Loading these would authenticate against Google and SendGrid
+stubModule('./services/calendarService');
+stubModule('./services/emailService');
+
+const User = require('./models/User');
+const Assignment = require('./models/Assignment');
+const Feedback = require('./models/Feedback');
+const Issue = require('./models/Issue');
+const Comment = require('./models/Comment');
+const SessionService = require('./services/sessionService');
+const DepartmentService = require('./services/departmentService');
+const ResolutionService = require('./services/resolutionService');
+const AccessPolicy = require('./services/accessPolicy');
+const generateToken = require('./utils/generateToken');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// The people in every scenario
+const users = {
+    admin: { _id: id(), role: 'admin', name: 'Admin' },
+    assignee: { _id: id(), role: 'officer', name: 'Assigned officer' },
+    departmentHead: { _id: id(), role: 'officer', name: 'Head of roads' },
+    departmentMember: { _id: id(), role: 'officer', name: 'Roads officer' },
+    reporter: { _id: id(), role: 'citizen', name: 'Reporter' },
+    otherCitizen: { _id: id(), role: 'citizen', name: 'Neighbour' },
+    otherOfficer: { _id: id(), role: 'officer', name: 'Water officer' }
+};
+const ACTORS = Object.keys(users);
+
+const departments = [
+    {
+        _id: id(),
+        name: 'Roads',
+        categories: ['road'],
+        head: users.departmentHead._id,
+        members: [users.departmentHead._id, users.assignee._id, users.departmentMember._id]
+    },
+    {
+        _id: id(),
+        name: 'Water',
+        categories: ['water'],
+        head: users.otherOfficer._id,
+        members: [users.otherOfficer._id]
+    }
+];
+
+const issue = { _id: id(), category: 'road', reportedBy: users.reporter._id, assignedTo: users.assignee._id };
+const assignment = { _id: id(), issue: issue._id, assignedTo: users.assignee._id, status: 'accepted' };
+const feedback = {
+    _id: id(),
+    issue: issue._id,
+    citizen: users.reporter._id,
+    officer: users.assignee._id,
+    status: 'approved',
+    rating: 4
+};
+const comment = { _id: id(), issue: issue._id, author: users.reporter._id, text: 'Still there' };
+
+// Every policy, the context it is checked with, and who must be allowed
+const MATRIX = {
+    'assignment:view': { context: { assignment }, allowed: ['admin', 'assignee', 'departmentHead'] },
+    'assignment:work': { context: { assignment }, allowed: ['assignee'] },
+    'issue:update': { context: { issue }, allowed: ['admin', 'assignee', 'departmentHead', 'departmentMember'] },
+    'feedback:view': { context: { feedback }, allowed: ['admin', 'assignee', 'reporter'] },
+    'feedback:submit': { context: { issue }, allowed: ['reporter'] },
+    'feedback:edit': { context: { feedback }, allowed: ['reporter'] },
+    'feedback:delete': { context: { feedback }, allowed: ['admin', 'reporter'] },
+    'feedback:reply': { context: { feedback }, allowed: ['admin', 'assignee'] },
+    'comment:edit': { context: { comment }, allowed: ['reporter'] },
+    'comment:delete': { context: { comment }, allowed: ['admin', 'reporter'] },
+    'dashboard:officer': { context: { userId: users.assignee._id }, allowed: ['admin', 'assignee', 'departmentHead'] },
+    'dashboard:citizen': { context: { userId: users.reporter._id }, allowed: ['admin', 'reporter'] }
+};
+
+// Helper: chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+    const q = {
+        populate: () => q,
+        select: () => q,
+        sort: () => q,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return q;
+};
+
+const findById = (docs) => (docId) => query(docs.find(doc => doc._id.equals(docId)) || null);
+
+// Replace model/service methods for the duration of the tests
+const originals = [];
+const stub = (target, name, fn) => {
+    originals.push([target, name, target[name]]);
+    target[name] = fn;
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    stub(DepartmentService, 'getOfficerDepartment', async (userId) => departments
+        .find(d => d.members.some(m => m.equals(userId))) || null);
+    stub(SessionService, 'getActiveSession', async () => ({ _id: id() }));
+    stub(User, 'findById', (userId) => query(Object.values(users).find(u => u._id.equals(userId)) || null));
+    stub(Assignment, 'findById', findById([assignment]));
+    stub(Feedback, 'findById', findById([feedback]));
+    stub(Issue, 'findById', findById([issue]));
+    stub(Comment, 'findOne', (filter) => query(comment._id.equals(filter._id) ? comment : null));
+    // Dashboard figures are irrelevant here; only who may see them is tested
+    stub(Assignment, 'countDocuments', async () => 0);
+    stub(Issue, 'countDocuments', async () => 0);
+    stub(Issue, 'aggregate', async () => []);
+    stub(Feedback, 'getOfficerAverageRating', async () => ({ avgRating: 0, count: 0 }));
+    stub(ResolutionService, 'getReopenStats', async () => ({ reopened: 0, reopenRate: 0 }));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/assignments', require('./routes/assignments'));
+    app.use('/api/feedback', require('./routes/feedback'));
+    app.use('/api/reports', require('./routes/reports'));
+    app.use('/api/issues', require('./routes/issues'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server?.close();
+    originals.reverse().forEach(([target, name, fn]) => {
+        target[name] = fn;
+    });
+});
+
+const request = (method, path, actor, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+        Authorization: `Bearer ${generateToken(users[actor]._id.toString(), id().toString())}`,
+        ...(body && { 'Content-Type': 'application/json' })
+    },
+    body: body && JSON.stringify(body)
+});
+const get = (path, actor) => request('GET', path, actor);
+
+test('every policy has an access matrix', () => {
+    assert.deepEqual(Object.keys(MATRIX).sort(), Object.keys(AccessPolicy.POLICIES).sort());
+});
+
+for (const [action, { context, allowed }] of Object.entries(MATRIX)) {
+    test(`${action} access matrix`, async () => {
+        for (const actor of ACTORS) {
+            const expected = allowed.includes(actor);
+            assert.equal(await AccessPolicy.can(users[actor], action, context), expected, `${actor} on ${action}`);
+
+            const failure = await AccessPolicy.check(users[actor], action, context);
+            assert.equal(failure === null, expected, `${actor} check() on ${action}`);
+            if (failure) assert.equal(failure.statusCode, 403);
+        }
+    });
+}
+
+test('officers only see feedback about them once it is approved', async () => {
+    const pending = { ...feedback, status: 'pending' };
+    assert.equal(await AccessPolicy.can(users.assignee, 'feedback:view', { feedback: pending }), false);
+    assert.equal(await AccessPolicy.can(users.reporter, 'feedback:view', { feedback: pending }), true);
+});
+
+test('enforce() throws a 403 error for services', async () => {
+    await assert.rejects(
+        AccessPolicy.enforce(users.otherCitizen, 'comment:delete', { comment }),
+        (error) => error.statusCode === 403
+    );
+    await AccessPolicy.enforce(users.admin, 'comment:delete', { comment });
+});
+
+// Route-level matrices: role middleware plus policy, as a client sees them
+const ROUTES = [
+    {
+        path: `/api/assignments/${assignment._id}`,
+        allowed: ['admin', 'assignee', 'departmentHead']
+    },
+    ...['accept', 'start', 'complete'].map(action => ({
+        method: 'PUT',
+        path: `/api/assignments/${assignment._id}/${action}`,
+        allowed: ['assignee']
+    })),
+    {
+        method: 'POST',
+        path: `/api/assignments/${assignment._id}/progress`,
+        allowed: ['assignee']
+    },
+    {
+        path: `/api/feedback/${feedback._id}`,
+        allowed: ['admin', 'assignee', 'reporter']
+    },
+    {
+        method: 'PUT',
+        path: `/api/feedback/${feedback._id}`,
+        allowed: ['reporter']
+    },
+    {
+        method: 'DELETE',
+        path: `/api/feedback/${feedback._id}`,
+        allowed: ['admin', 'reporter']
+    },
+    {
+        method: 'POST',
+        path: `/api/feedback/${feedback._id}/reply`,
+        allowed: ['admin', 'assignee']
+    },
+    {
+        method: 'PUT',
+        path: `/api/issues/${issue._id}`,
+        allowed: ['admin', 'assignee', 'departmentHead', 'departmentMember']
+    },
+    {
+        method: 'PUT',
+        path: `/api/issues/${issue._id}/comments/${comment._id}`,
+        allowed: ['reporter']
+    },
+    {
+        method: 'DELETE',
+        path: `/api/issues/${issue._id}/comments/${comment._id}`,
+        allowed: ['admin', 'reporter']
+    },
+    {
+        path: `/api/reports/dashboard/officer/${users.assignee._id}`,
+        allowed: ['admin', 'assignee', 'departmentHead']
+    },
+    {
+        path: `/api/reports/dashboard/citizen/${users.reporter._id}`,
+        allowed: ['admin', 'reporter']
+    }
+];
+
+// Reads must succeed; writes only have to get past access control, since the
+// stubbed documents cannot be saved
+for (const { method = 'GET', path, allowed } of ROUTES) {
+    test(`${method} ${path.replace(/[a-f0-9]{24}/g, ':id')} access matrix`, async () => {
+        for (const actor of ACTORS) {
+            const res = await request(method, path, actor, method === 'GET' ? undefined : { text: 'Updated', reply: 'Thanks' });
+            const body = await res.text();
+            if (!allowed.includes(actor)) {
+                assert.equal(res.status, 403, `${actor} got ${res.status}: ${body}`);
+            } else if (method === 'GET') {
+                assert.equal(res.status, 200, `${actor} got ${res.status}: ${body}`);
+            } else {
+                assert.ok(![401, 403].includes(res.status), `${actor} got ${res.status}: ${body}`);
+            }
+        }
+    });
+}
+
+test('GET /api/assignments/:id returns 404 before checking access', async () => {
+    const res = await get(`/api/assignments/${id()}`, 'otherCitizen');
+    assert.equal(res.status, 404);
+});
@@ -0,0 +1,16 @@
+const EARTH_RADIUS_METERS = 6371000;
+// Radius MongoDB uses for spherical geometry ($near distances, $centerSphere radians)
+const MONGO_EARTH_RADIUS_METERS = 6378100;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in meters between two [lng, lat] pairs
+const haversineDistance = ([lng1, lat1], [lng2, lat2], radius = EARTH_RADIUS_METERS) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return radius * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+module.exports = { haversineDistance, MONGO_EARTH_RADIUS_METERS };
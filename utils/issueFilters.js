@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { MONGO_EARTH_RADIUS_METERS } = require('./geo');
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// "open,assigned" → { $in: [...] }, "open" → "open"
+const listOrValue = (value) => {
+    const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    return values.length > 1 ? { $in: values } : values[0];
+};
+
+const toObjectId = (value, name) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) throw badRequest(`Invalid ${name}`);
+    return new mongoose.Types.ObjectId(value);
+};
+
+/**
+ * Build the attribute filter shared by issue listings, map exports and aggregations.
+ * ObjectIds are cast explicitly so the result also works inside aggregation $match stages.
+ * @param {Object} params - Request query (status, category, priority, assignedTo, reportedBy, zone, source)
+ */
+const buildIssueFilter = ({ status, category, priority, assignedTo, reportedBy, zone, source } = {}) => {
+    const filter = {};
+
+    if (status) filter.status = listOrValue(status);
+    if (category) filter.category = listOrValue(category);
+    if (priority) filter.priority = listOrValue(priority);
+    if (source) filter.source = listOrValue(source);
+    if (assignedTo) filter.assignedTo = toObjectId(assignedTo, 'assignedTo');
+    if (reportedBy) filter.reportedBy = toObjectId(reportedBy, 'reportedBy');
+    if (zone) {
+        const zones = String(zone).split(',').map(id => toObjectId(id.trim(), 'zone'));
+        filter.zones = zones.length > 1 ? { $in: zones } : zones[0];
+    }
+
+    return filter;
+};
+
+// Helper: bring a longitude from a scrolled-around map back into -180..180
+const wrapLng = (lng) => (lng < -180 || lng > 180 ? ((((lng + 180) % 360) + 360) % 360) - 180 : lng);
+
+// Longest step along a bbox edge; geodesic edges this short stay on the line of latitude
+const EDGE_STEP_DEGREES = 1;
+// Wider rectangles are cut into slices so no single polygon spans a hemisphere
+const MAX_SLICE_DEGREES = 90;
+
+// Helper: points along a line of latitude from one longitude to another (a single point at a pole)
+const latitudeEdge = (lat, fromLng, toLng) => {
+    if (Math.abs(lat) === 90) return [[fromLng, lat]];
+    const steps = Math.max(Math.ceil(Math.abs(toLng - fromLng) / EDGE_STEP_DEGREES), 1);
+    return Array.from({ length: steps + 1 }, (_, i) => [fromLng + ((toLng - fromLng) * i) / steps, lat]);
+};
+
+// Helper: GeoJSON polygons covering minLng..maxLng (minLng < maxLng) between two latitudes
+const rectanglePolygons = (minLng, minLat, maxLng, maxLat) => {
+    const slices = Math.ceil((maxLng - minLng) / MAX_SLICE_DEGREES);
+    const width = (maxLng - minLng) / slices;
+
+    return Array.from({ length: slices }, (_, i) => {
+        const west = minLng + width * i;
+        const east = i === slices - 1 ? maxLng : west + width;
+        // Meridian edges are geodesics already; their midpoints keep the ring valid when both ends are poles
+        const midLat = (minLat + maxLat) / 2;
+        const ring = [
+            ...latitudeEdge(minLat, west, east),
+            [east, midLat],
+            ...latitudeEdge(maxLat, east, west),
+            [west, midLat]
+        ];
+        return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+    });
+};
+
+/**
+ * Parse a map viewport "minLng,minLat,maxLng,maxLat" into GeoJSON polygons for $geoWithin,
+ * so the 2dsphere index serves the query. A viewport spanning the whole world covers every longitude;
+ * one crossing the antimeridian (minLng > maxLng once wrapped) is covered on each side.
+ * @returns {Object|null} { bounds, polygons } or null when no bbox was given
+ */
+const parseBbox = (bbox) => {
+    if (!bbox) return null;
+
+    const parts = String(bbox).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+        throw badRequest('bbox must be minLng,minLat,maxLng,maxLat');
+    }
+
+    const [west, minLat, east, maxLat] = parts;
+    if (minLat < -90 || maxLat > 90 || minLat >= maxLat) {
+        throw badRequest('bbox is out of range or inverted');
+    }
+
+    const wholeWorld = east - west >= 360;
+    const minLng = wholeWorld ? -180 : wrapLng(west);
+    const maxLng = wholeWorld ? 180 : wrapLng(east);
+    if (minLng === maxLng) throw badRequest('bbox has no width');
+
+    const polygons = minLng < maxLng
+        ? rectanglePolygons(minLng, minLat, maxLng, maxLat)
+        : [...rectanglePolygons(minLng, minLat, 180, maxLat), ...rectanglePolygons(-180, minLat, maxLng, maxLat)];
+
+    return { bounds: { minLng, minLat, maxLng, maxLat }, polygons };
+};
+
+const withinBbox = (bbox) => {
+    const conditions = bbox.polygons.map(geometry => ({ location: { $geoWithin: { $geometry: geometry } } }));
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+};
+
+/**
+ * Restrict a filter to issues inside a parsed bbox (mutates and returns it)
+ */
+const restrictToBbox = (filter, bbox) => {
+    filter.$and = [...(filter.$and || []), withinBbox(bbox)];
+    return filter;
+};
+
+const withinRadius = (point, radius) => ({
+    $geoWithin: { $centerSphere: [point, radius / MONGO_EARTH_RADIUS_METERS] }
+});
+
+// Staff see every issue; citizens do not see reports from unverified accounts other than their own
+const STAFF_ROLES = ['officer', 'admin'];
+
+const canSeeIssue = (issue, user) => !issue.pendingVerification
+    || STAFF_ROLES.includes(user.role)
+    || (issue.reportedBy?._id || issue.reportedBy)?.toString() === user._id.toString();
+
+/**
+ * Restrict a filter to the issues the user may see (mutates and returns it)
+ */
+const scopeToVisible = (filter, user) => {
+    if (STAFF_ROLES.includes(user.role)) return filter;
+    filter.$and = [
+        ...(filter.$and || []),
+        { $or: [{ pendingVerification: { $ne: true } }, { reportedBy: user._id }] }
+    ];
+    return filter;
+};
+
+module.exports = { buildIssueFilter, parseBbox, restrictToBbox, withinRadius, canSeeIssue, scopeToVisible };
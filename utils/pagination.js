@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { haversineDistance, MONGO_EARTH_RADIUS_METERS } = require('./geo');
+
+// Hard upper bound for any listing, whatever the client asks for
+const MAX_LIMIT = parseInt(process.env.MAX_PAGE_LIMIT) || 100;
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const parseLimit = (limit, defaultLimit = 10) => (
+    Math.min(Math.max(parseInt(limit) || defaultLimit, 1), MAX_LIMIT)
+);
+
+// Cursor mode is opt-in (`?cursor=` or `?paginate=cursor`); otherwise listings keep page numbers
+const isCursorMode = (query) => query.cursor !== undefined || query.paginate === 'cursor';
+
+// Cursors are opaque base64url JSON; dates are tagged so they survive the round trip
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (token) => {
+    if (!token) return null;
+    try {
+        const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        if (!payload || typeof payload !== 'object') throw new Error();
+        if (payload.v && payload.v.$date) payload.v = new Date(payload.v.$date);
+        return payload;
+    } catch (e) {
+        throw badRequest('Invalid cursor');
+    }
+};
+
+const isObjectId = (value) => typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+
+// Keyset values go straight into the query, so only scalars and tagged dates are accepted (never operators)
+const isKeyValue = (value) => (
+    value === null
+    || ['string', 'number', 'boolean'].includes(typeof value)
+    || (value instanceof Date && !isNaN(value.getTime()))
+);
+
+// Helper: a decoded token must have the shape its pagination mode produces, or casting it fails with a 500
+const validateCursor = (state, isValid) => {
+    if (state && !isValid(state)) throw badRequest('Invalid cursor');
+    return state;
+};
+
+/**
+ * Resolve a client sort parameter against a whitelist
+ * @param {Object} allowed - { publicName: { field, direction } }
+ * @param {String} sort - Requested public name
+ * @param {String} order - Optional 'asc' | 'desc' override
+ * @param {String} fallback - Public name used when no sort is requested
+ */
+const resolveSort = (allowed, sort, order, fallback) => {
+    const key = sort || fallback;
+    const spec = allowed[key];
+    if (!spec) {
+        throw badRequest(`Invalid sort '${key}'. Allowed: ${Object.keys(allowed).join(', ')}`);
+    }
+
+    let direction = spec.direction;
+    if (order === 'asc') direction = 1;
+    if (order === 'desc') direction = -1;
+
+    return { key, field: spec.field, direction };
+};
+
+// Add extra conditions without clobbering an $or already present in the filter
+const mergeConditions = (filter, condition) => (
+    filter.$or
+        ? { ...filter, $and: [...(filter.$and || []), condition] }
+        : { ...filter, ...condition }
+);
+
+/**
+ * Keyset pagination over (field, _id): stable while new documents arrive
+ * @param {Object} options - { field, direction, cursor, limit, projection, decorate(query) }
+ * @returns {Promise<{ items, next, prev }>}
+ */
+const paginateByKeyset = async (model, filter, { field, direction, cursor, limit, projection = null, decorate = q => q }) => {
+    const state = validateCursor(decodeCursor(cursor), ({ v, id, d }) => (
+        isKeyValue(v) && isObjectId(id) && ['next', 'prev'].includes(d)
+    ));
+    const backwards = state?.d === 'prev';
+
+    // Walking backwards flips comparison and sort order; results are flipped back below
+    const effectiveDirection = backwards ? -direction : direction;
+    const cmp = effectiveDirection === -1 ? '$lt' : '$gt';
+
+    let query = filter;
+    if (state) {
+        const id = new mongoose.Types.ObjectId(state.id);
+        // Missing values (e.g. no due date) sort before every other value ascending and after them descending
+        let after;
+        if (state.v === null) {
+            after = effectiveDirection === 1 ? [{ [field]: { $ne: null } }] : [];
+        } else {
+            after = [{ [field]: { [cmp]: state.v } }];
+            if (effectiveDirection === -1) after.push({ [field]: null });
+        }
+        query = mergeConditions(filter, {
+            $or: [...after, { [field]: state.v, _id: { [cmp]: id } }]
+        });
+    }
+
+    const sort = field === '_id'
+        ? { _id: effectiveDirection }
+        : { [field]: effectiveDirection, _id: effectiveDirection };
+
+    const results = await decorate(model.find(query, projection).sort(sort).limit(limit + 1));
+    const hasMore = results.length > limit;
+    const items = results.slice(0, limit);
+    if (backwards) items.reverse();
+
+    const cursorFor = (doc, d) => {
+        const value = doc.get(field) ?? null;
+        return encodeCursor({
+            v: value instanceof Date ? { $date: value.toISOString() } : value,
+            id: doc._id.toString(),
+            d
+        });
+    };
+    const hasNext = backwards ? Boolean(state) : hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(state);
+
+    return {
+        items,
+        next: hasNext && items.length ? cursorFor(items[items.length - 1], 'next') : null,
+        prev: hasPrev && items.length ? cursorFor(items[0], 'prev') : null
+    };
+};
+
+/**
+ * Offset cursors for orderings that cannot be expressed as a keyset (e.g. text relevance)
+ */
+const paginateByOffset = async (model, filter, { sort, cursor, limit, projection = null, decorate = q => q }) => {
+    const state = decodeCursor(cursor);
+    const offset = Math.max(parseInt(state?.o) || 0, 0);
+
+    const results = await decorate(model.find(filter, projection).sort(sort).skip(offset).limit(limit + 1));
+    const items = results.slice(0, limit);
+
+    return {
+        items,
+        next: results.length > limit ? encodeCursor({ o: offset + limit }) : null,
+        prev: offset > 0 ? encodeCursor({ o: Math.max(offset - limit, 0) }) : null
+    };
+};
+
+/**
+ * Distance-ordered pagination using $near with $minDistance.
+ * Documents at the boundary distance are excluded by id so ties are neither skipped nor repeated.
+ * $near can only walk outwards, so there is no prev cursor.
+ */
+const paginateByDistance = async (model, filter, { point, maxDistance, cursor, limit, projection = null, decorate = q => q }) => {
+    const state = validateCursor(decodeCursor(cursor), ({ md, ex }) => (
+        Number.isFinite(md) && md >= 0 && Array.isArray(ex) && ex.every(isObjectId)
+    ));
+    const minDistance = state ? Math.max(state.md - 1, 0) : 0;
+
+    const query = {
+        ...filter,
+        location: {
+            $near: {
+                $geometry: { type: 'Point', coordinates: point },
+                $minDistance: minDistance,
+                $maxDistance: maxDistance
+            }
+        }
+    };
+    if (state?.ex?.length) {
+        query._id = { $nin: state.ex.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const results = await decorate(model.find(query, projection).limit(limit + 1));
+    const items = results.slice(0, limit);
+
+    let next = null;
+    if (results.length > limit && items.length) {
+        const distanceOf = doc => haversineDistance(point, doc.location.coordinates, MONGO_EARTH_RADIUS_METERS);
+        const last = distanceOf(items[items.length - 1]);
+        const boundary = items.filter(doc => distanceOf(doc) >= last - 1).map(doc => doc._id.toString());
+        // Ids excluded earlier stay excluded while they are still inside the new boundary band
+        const carried = state && state.md >= last - 1 ? state.ex : [];
+        next = encodeCursor({ md: last, ex: [...carried, ...boundary] });
+    }
+
+    return { items, next, prev: null };
+};
+
+module.exports = {
+    MAX_LIMIT,
+    parseLimit,
+    isCursorMode,
+    encodeCursor,
+    decodeCursor,
+    resolveSort,
+    paginateByKeyset,
+    paginateByOffset,
+    paginateByDistance
+};
@@ -0,0 +1,74 @@
+// Minimal in-process job runner: runs each job on a fixed interval,
+// skips a tick while the previous run is still going and never lets a job crash the server.
+// With several server instances, a Mongo lease makes sure each tick runs on one instance only.
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+const jobs = new Map();
+
+// Identifies this process as a lease owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Take the lease for a job unless another instance holds an unexpired one.
+ * The lease is not released after the run: it covers the whole interval so other
+ * instances skip the same tick, and simply expires if the holder dies.
+ * @returns {Promise<Boolean>} true when this instance may run the job
+ */
+const acquireLease = async (name, leaseMs) => {
+    const now = new Date();
+    try {
+        const lock = await JobLock.findOneAndUpdate(
+            { _id: name, $or: [{ lockedUntil: { $lte: now } }, { owner: INSTANCE_ID }] },
+            { $set: { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + leaseMs) } },
+            { upsert: true, new: true }
+        );
+        return lock.owner === INSTANCE_ID;
+    } catch (error) {
+        // Upsert raced with a live lease held by another instance
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * @param {String} name - Unique job name (also the lease key)
+ * @param {Number} intervalMs - Run interval
+ * @param {Function} task - Async job body
+ * @param {Object} options - { lock: false to run on every instance }
+ */
+const schedule = (name, intervalMs, task, { lock = true } = {}) => {
+    if (jobs.has(name)) return jobs.get(name);
+
+    const job = { name, intervalMs, running: false, lastRun: null, timer: null };
+
+    const run = async () => {
+        if (job.running) return;
+        job.running = true;
+        try {
+            // Slightly shorter than the interval so this instance's next tick can renew it
+            if (lock && !(await acquireLease(name, intervalMs * 0.9))) return;
+            await task();
+            job.lastRun = new Date();
+        } catch (error) {
+            console.error(`❌ Job "${name}" failed:`, error.message);
+        } finally {
+            job.running = false;
+        }
+    };
+
+    job.timer = setInterval(run, intervalMs);
+    job.timer.unref();
+    job.run = run;
+    jobs.set(name, job);
+
+    return job;
+};
+
+const stopAll = () => {
+    jobs.forEach(job => clearInterval(job.timer));
+    jobs.clear();
+};
+
+module.exports = { schedule, stopAll, INSTANCE_ID };
@@ -0,0 +1,70 @@
+// Helpers for presenting MongoDB $text search results
+
+const SNIPPET_RADIUS = 60; // characters of context on each side of the first match
+const MIN_TERM_LENGTH = 2;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// Rough stem so "pipes" highlights "pipe" and "broken" highlights "broken"
+const stem = (term) => term.replace(/(ing|ed|es|s)$/, '') || term;
+
+const getSearchTerms = (q = '') => [...new Set(
+    q.toLowerCase()
+        .replace(/"/g, ' ')
+        .split(/\s+/)
+        .filter(term => term && !term.startsWith('-'))
+        .map(stem)
+        .filter(term => term.length >= MIN_TERM_LENGTH)
+)];
+
+/**
+ * Cut a snippet around the first matching term and wrap matches in <mark>.
+ * The user-written text is HTML-escaped; only the <mark> tags are markup.
+ * @returns {String|null} null when no term occurs in the text
+ */
+const highlightText = (text, terms) => {
+    if (!text || !terms.length) return null;
+
+    const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+    const first = text.search(pattern);
+    if (first === -1) return null;
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    const raw = text.slice(start, end);
+
+    // Escape the text between matches and the matches themselves, then add the markup
+    let snippet = '';
+    let last = 0;
+    for (const match of raw.matchAll(pattern)) {
+        snippet += `${escapeHtml(raw.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(raw.slice(last));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build highlighted snippets for the searchable fields of an issue
+ * @param {Object} issue - Issue document or plain object
+ * @param {String} q - Raw search string
+ */
+const buildIssueHighlights = (issue, q) => {
+    const terms = getSearchTerms(q);
+    const fields = [
+        ['title', issue.title],
+        ['description', issue.description],
+        ['location.address', issue.location?.address],
+        ...(issue.commentText || []).map(text => ['comments', text])
+    ];
+
+    return fields
+        .map(([field, text]) => ({ field, snippet: highlightText(text, terms) }))
+        .filter(h => h.snippet);
+};
+
+module.exports = { buildIssueHighlights, highlightText, getSearchTerms };